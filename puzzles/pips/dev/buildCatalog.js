@@ -0,0 +1,32 @@
+// ============================================================
+// FILE: dev/buildCatalog.js
+// PURPOSE: Regenerate puzzles/catalog.json from puzzles/*.json.
+// USAGE:
+//   node dev/buildCatalog.js
+// NOTES:
+//   - Node only. Run after adding, renaming or editing a puzzle.
+//   - Files are listed alphabetically; status and rating are
+//     inferred by engine/catalog.js (validation, solver, rater).
+// ============================================================
+
+import { readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { buildCatalog } from "../engine/catalog.js";
+
+const puzzlesDir = fileURLToPath(new URL("../puzzles/", import.meta.url));
+const CATALOG_FILE = "catalog.json";
+
+const files = readdirSync(puzzlesDir)
+  .filter(f => f.endsWith(".json") && f !== CATALOG_FILE)
+  .sort()
+  .map(file => ({ file, json: JSON.parse(readFileSync(puzzlesDir + file, "utf8")) }));
+
+const catalog = buildCatalog(files);
+
+writeFileSync(puzzlesDir + CATALOG_FILE, JSON.stringify(catalog, null, 2) + "\n");
+
+for (const p of catalog.puzzles) {
+  const note = p.errors.length ? `  (${p.errors.join(", ")})`
+    : p.rating ? `  [${p.rating.level}]` : "";
+  console.log(`${p.status.padEnd(8)} ${p.id}${note}`);
+}
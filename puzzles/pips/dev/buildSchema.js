@@ -0,0 +1,19 @@
+// ============================================================
+// FILE: dev/buildSchema.js
+// PURPOSE: Regenerate docs/puzzle.schema.json from
+//          engine/puzzleSchema.js.
+// USAGE:
+//   node dev/buildSchema.js
+// NOTES:
+//   - Node only. Run after editing puzzleSchema.js; the harness
+//     fails while the published file is stale.
+// ============================================================
+
+import { writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { PUZZLE_SCHEMA } from "../engine/puzzleSchema.js";
+
+const schemaFile = fileURLToPath(new URL("../docs/puzzle.schema.json", import.meta.url));
+
+writeFileSync(schemaFile, JSON.stringify(PUZZLE_SCHEMA, null, 2) + "\n");
+console.log(`wrote ${schemaFile}`);
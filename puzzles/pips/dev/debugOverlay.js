@@ -1 +1,208 @@
+// ============================================================
+// FILE: dev/debugOverlay.js
+// PURPOSE:
+//   Toggleable on-board view of engine state, instead of reading
+//   window.__PIPS and the console:
+//   - grid occupancy (dominoId/half) and regionMap id per cell
+//   - miniPuzzle outlines
+//   - rotation session state, drag phase, last syncCheck report
+//     (issues listed in the panel, their cells outlined in red)
+// USAGE:
+//   main.js loads it only when the page has ?debug (starts
+//   visible); press ` (backquote) to toggle.
+//   window.__PIPS.debugOverlay.toggle() works too.
+// NOTES:
+//   - Browser only, read-only: never mutates engine state and
+//     never dispatches pips:* events.
+//   - Cell labels live in their own .debug-layer inside the
+//     board (like .feedback-layer), so board renders leave it
+//     alone; the status panel is fixed to the page corner.
+//   - Redrawn on every pips:state:update; the panel also
+//     refreshes on pointer input, which drives rotation/drag.
+// ============================================================
 
+import { getRotationState, getRotatingDominoId } from "../ui/rotation.js";
+import { getDragDropPhase } from "../ui/dragDrop.js";
+
+const TOGGLE_KEY = "`";
+const MAX_LISTED_ISSUES = 5;
+
+// Distinct hue per mini puzzle id
+function miniPuzzleColor(id) {
+  return `hsl(${(id * 137) % 360}, 70%, 45%)`;
+}
+
+function syncLabel(report) {
+  if (!report) return "not run";
+  if (report.ok) return report.repaired ? "OK (repaired)" : "OK";
+  return `${report.issues.length} issue(s)`;
+}
+
+// ------------------------------------------------------------
+// installDebugOverlay({ appRoot, boardEl, state, getSyncResult, visible })
+// getSyncResult: () => last syncCheck() report
+// ------------------------------------------------------------
+export function installDebugOverlay({
+  appRoot,
+  boardEl,
+  state,
+  getSyncResult = () => null,
+  visible = false
+}) {
+  if (!appRoot || !boardEl || !state) {
+    throw new Error("installDebugOverlay: missing appRoot, boardEl or state");
+  }
+
+  let shown = visible;
+
+  const layer = document.createElement("div");
+  layer.className = "debug-layer";
+  layer.setAttribute("aria-hidden", "true");
+  boardEl.appendChild(layer);
+
+  const panel = document.createElement("dl");
+  panel.className = "pips-debug-panel";
+  document.body.appendChild(panel);
+
+  // row,col → mini puzzle id
+  const miniOf = new Map();
+  for (const mp of state.miniPuzzles || []) {
+    for (const { row, col } of mp.cells) miniOf.set(`${row},${col}`, mp.id);
+  }
+
+  // ----------------------------------------------------------
+  // Board layer: one box per cell
+  // ----------------------------------------------------------
+  function drawCells() {
+    layer.innerHTML = "";
+
+    const desync = new Set(
+      (getSyncResult()?.issues || [])
+        .filter(i => i.cell)
+        .map(i => `${i.cell.row},${i.cell.col}`)
+    );
+
+    const rootStyle = getComputedStyle(document.documentElement);
+    const cellSize = parseFloat(rootStyle.getPropertyValue("--cell-size"));
+    const cellGap = parseFloat(rootStyle.getPropertyValue("--cell-gap"));
+    const stride = cellSize + cellGap;
+
+    for (let row = 0; row < state.boardRows; row++) {
+      for (let col = 0; col < state.boardCols; col++) {
+        const key = `${row},${col}`;
+        const box = document.createElement("div");
+        box.className = "debug-cell";
+        box.style.left = `${col * stride}px`;
+        box.style.top = `${row * stride}px`;
+        box.style.width = `${cellSize}px`;
+        box.style.height = `${cellSize}px`;
+        box.classList.toggle("is-desync", desync.has(key));
+
+        if (state.blocked.has(key)) {
+          box.classList.add("is-blocked");
+          box.textContent = "X";
+          layer.appendChild(box);
+          continue;
+        }
+
+        const region = document.createElement("span");
+        region.className = "debug-region";
+        region.textContent = `R${state.regionMap[row]?.[col] ?? "?"}`;
+        box.appendChild(region);
+
+        const occ = state.grid[row]?.[col];
+        const occupant = document.createElement("span");
+        occupant.className = "debug-occupant";
+        occupant.textContent = occ ? `${occ.dominoId}/${occ.half}` : "·";
+        box.appendChild(occupant);
+
+        // Mini puzzle outline: border on sides facing another puzzle
+        const mini = miniOf.get(key);
+        box.style.setProperty("--mini-color", miniPuzzleColor(mini));
+        for (const [side, dr, dc] of [["top", -1, 0], ["right", 0, 1], ["bottom", 1, 0], ["left", 0, -1]]) {
+          if (miniOf.get(`${row + dr},${col + dc}`) !== mini) {
+            box.classList.add(`edge-${side}`);
+          }
+        }
+
+        layer.appendChild(box);
+      }
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Status panel
+  // ----------------------------------------------------------
+  function drawPanel() {
+    const rotatingId = getRotatingDominoId();
+    const sync = getSyncResult();
+    const dominos = [...state.dominos.values()];
+    const placed = dominos.filter(d => Array.isArray(d.cells)).length;
+
+    const rows = [
+      ["Rotation", rotatingId ? `${getRotationState()} (${rotatingId})` : getRotationState()],
+      ["Drag", getDragDropPhase()],
+      ["syncCheck", syncLabel(sync)],
+      ["Placed", `${placed} / ${dominos.length}`],
+      ["Mini puzzles", String(state.miniPuzzles?.length ?? 0)]
+    ];
+
+    // Failing syncCheck: one row per issue (kind + message)
+    const issues = sync?.issues || [];
+    for (const i of issues.slice(0, MAX_LISTED_ISSUES)) {
+      rows.push([i.kind, i.message]);
+    }
+    if (issues.length > MAX_LISTED_ISSUES) {
+      rows.push(["…", `${issues.length - MAX_LISTED_ISSUES} more (window.__PIPS.lastSync())`]);
+    }
+
+    panel.innerHTML = "";
+    for (const [term, value] of rows) {
+      const dt = document.createElement("dt");
+      dt.textContent = term;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      panel.append(dt, dd);
+    }
+
+    panel.classList.toggle("has-sync-issues", issues.length > 0);
+  }
+
+  function refresh() {
+    layer.hidden = !shown;
+    panel.hidden = !shown;
+    if (!shown) return;
+
+    drawCells();
+    drawPanel();
+  }
+
+  function toggle(force) {
+    shown = typeof force === "boolean" ? force : !shown;
+    refresh();
+    return shown;
+  }
+
+  // ----------------------------------------------------------
+  // Wiring
+  // ----------------------------------------------------------
+  appRoot.addEventListener("pips:state:update", refresh);
+
+  // Rotation / drag move without a state update; let their own
+  // handlers run first, then read the new phase.
+  for (const name of ["pointerdown", "pointerup", "pointercancel", "dblclick"]) {
+    document.addEventListener(name, () => {
+      if (shown) setTimeout(drawPanel, 0);
+    });
+  }
+
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key !== TOGGLE_KEY || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    ev.preventDefault();
+    toggle();
+  });
+
+  refresh();
+
+  return { toggle, refresh, isVisible: () => shown };
+}
@@ -0,0 +1,35 @@
+// ============================================================
+// FILE: dev/generatePuzzle.js
+// PURPOSE: Command-line wrapper around engine/generator.js.
+// USAGE:
+//   node dev/generatePuzzle.js [seed] [easy|medium|hard] [width] [height]
+//   node dev/generatePuzzle.js 42 hard > puzzles/gen-hard-42.json
+// NOTES:
+//   - Prints the puzzle JSON to stdout; diagnostics go to stderr.
+//   - The same arguments always print the same puzzle.
+// ============================================================
+
+import { generatePuzzle } from "../engine/generator.js";
+import { validateStructure } from "../engine/structuralValidator.js";
+
+const [seedArg = "1", difficulty = "medium", widthArg = "6", heightArg = "6"] =
+  process.argv.slice(2);
+
+// Numeric seeds stay numbers so ids read "gen-medium-6x6-42"
+const seed = /^\d+$/.test(seedArg) ? Number(seedArg) : seedArg;
+
+const puzzle = generatePuzzle({
+  seed,
+  difficulty,
+  width: Number(widthArg),
+  height: Number(heightArg)
+});
+
+const validation = validateStructure(puzzle, { verifySolution: true });
+if (validation.status === "Rejected") {
+  console.error("Generated puzzle failed validation:", validation.errors);
+  process.exit(1);
+}
+
+console.error(`${puzzle.id}: ${puzzle.regions.length} regions, ${puzzle.dominos.length} tray dominos`);
+console.log(JSON.stringify(puzzle, null, 2));
@@ -0,0 +1,42 @@
+// ============================================================
+// FILE: dev/solvePuzzle.js
+// PURPOSE: Command-line wrapper around engine/solver.js.
+// USAGE:
+//   node dev/solvePuzzle.js puzzles/5dye01.json [countLimit]
+// NOTES:
+//   - Node only (reads the puzzle from disk).
+//   - Runs structural validation first, like loadAndStart().
+// ============================================================
+
+import { readFileSync } from "node:fs";
+import { validateStructure } from "../engine/structuralValidator.js";
+import { loadPuzzle } from "../engine/loader.js";
+import { solvePuzzle } from "../engine/solver.js";
+
+const [file, limitArg] = process.argv.slice(2);
+
+if (!file) {
+  console.error("usage: node dev/solvePuzzle.js <puzzle.json> [countLimit]");
+  process.exit(2);
+}
+
+const json = JSON.parse(readFileSync(file, "utf8"));
+
+const validation = validateStructure(json);
+if (validation.status === "Rejected") {
+  console.error("Structural validation failed:");
+  for (const e of validation.errors) console.error(`  ${e.code} ${e.path} — ${e.message}`);
+  process.exit(1);
+}
+
+const countLimit = Number(limitArg) || 1000;
+const res = solvePuzzle(loadPuzzle(json), { maxSolutions: 1, countLimit });
+
+const exact = !res.capped && !res.aborted;
+console.log(`${json.id ?? file}: ${exact ? "" : ">= "}${res.count} solution(s), ${res.nodes} nodes`);
+
+if (res.solutions[0]) {
+  console.log(JSON.stringify({ placements: res.solutions[0] }, null, 2));
+}
+
+process.exit(res.count > 0 ? 0 : 1);
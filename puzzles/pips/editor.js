@@ -0,0 +1,481 @@
+// ============================================================
+// FILE: editor.js
+// PURPOSE: Wires the puzzle editor (editor.html): a draft
+//          puzzle (engine/puzzleDraft.js) drawn with the game's
+//          board, region, blocked and badge renderers.
+// NOTES:
+//   - Tools: Blocked (drag paints or clears), Region (drag from
+//     a region extends it, from an empty cell starts a new one),
+//     Erase (drag removes cells from their region), Starting
+//     (drag from one cell to its neighbour places the chosen
+//     domino, first pip on the first cell; click removes one).
+//   - validateStructure() runs after every edit; Solve runs the
+//     solver, reports uniqueness and stores the first solution
+//     as _solution for export.
+//   - Export is the JSON text area: Copy, Download, or paste a
+//     puzzle and Load it. Pasted files are schema-checked first.
+//     Play link copies an index.html?code= share link.
+// ============================================================
+
+import { loadPuzzle } from "./engine/loader.js";
+import { validateStructure } from "./engine/structuralValidator.js";
+import { validateSchema } from "./engine/schemaValidator.js";
+import { solvePuzzle } from "./engine/solver.js";
+import { DOMINO_SETS, buildDominoSet, isValidDominoId } from "./engine/domino.js";
+import {
+  createDraft,
+  draftFromPuzzle,
+  resizeDraft,
+  inBounds,
+  isBlocked,
+  setBlocked,
+  regionAt,
+  nextRegionId,
+  paintRegion,
+  eraseRegion,
+  setRegionRule,
+  setDominoSet,
+  toggleTrayDomino,
+  startingDominoAt,
+  removeStartingDomino,
+  placeStartingDomino,
+  requiredTrayCount,
+  exportPuzzle
+} from "./engine/puzzleDraft.js";
+import { renderBoard } from "./ui/boardRenderer.js";
+import { renderRegions } from "./ui/regionRenderer.js";
+import { renderBlockedCells } from "./ui/blockedRenderer.js";
+import { renderRegionBadges } from "./ui/badgeRenderer.js";
+import { describeRejection, offendingCells } from "./ui/rejectionMessages.js";
+import { encodeShareCode } from "./engine/shareCode.js";
+import { shareUrl } from "./ui/interaction/shareControls.js";
+
+const MAX_BOARD_SIZE = 12;
+const SOLVE_NODE_LIMIT = 2000000;
+
+const sameCell = (a, b) => a.row === b.row && a.col === b.col;
+
+function clampSize(value) {
+  const n = Number.parseInt(value, 10);
+  return Number.isInteger(n) ? Math.min(Math.max(n, 1), MAX_BOARD_SIZE) : 1;
+}
+
+// ------------------------------------------------------------
+// startEditor(initialDef)
+// initialDef: optional puzzle definition to open.
+// ------------------------------------------------------------
+export function startEditor(initialDef = null) {
+  const $ = id => document.getElementById(id);
+
+  const boardEl = $("board");
+  const statusEl = $("editorStatus");
+  const ruleInput = $("ruleInput");
+  const regionLabel = $("regionLabel");
+  const startingSelect = $("startingDomino");
+  const paletteEl = $("trayPalette");
+  const trayCountEl = $("trayCount");
+  const validationEl = $("validationList");
+  const solveResultEl = $("solveResult");
+  const exportEl = $("exportJson");
+
+  let draft = initialDef ? draftFromPuzzle(initialDef) : createDraft();
+  let selectedRegionId = null;
+  let stroke = null;
+
+  // ----------------------------------------------------------
+  // Status line (rejected starting dominos, load errors)
+  // ----------------------------------------------------------
+  function showStatus(message, kind = "info") {
+    statusEl.textContent = message;
+    statusEl.dataset.kind = kind;
+  }
+
+  // ----------------------------------------------------------
+  // Board: the game renderers on a state loaded from the draft
+  // ----------------------------------------------------------
+  // The editor has no tray, and a loaded file may name dominos
+  // the set cannot hold or put them off the board (validation
+  // reports those), so only valid starting dominos on the board
+  // reach the loader.
+  function previewState() {
+    const def = exportPuzzle(draft);
+    const maxPip = DOMINO_SETS[draft.dominoSet];
+    def.dominos = [];
+    def.startingDominos = (def.startingDominos || []).filter(s =>
+      isValidDominoId(s.domino, maxPip) && s.cells.every(c => inBounds(draft, c))
+    );
+    return loadPuzzle(def);
+  }
+
+  function renderDraftBoard(highlight = []) {
+    const state = previewState();
+
+    boardEl.style.setProperty("--board-rows", state.boardRows);
+    boardEl.style.setProperty("--board-cols", state.boardCols);
+
+    renderBoard(boardEl, state);
+    renderRegions(state.regionMap, boardEl);
+    renderBlockedCells(state.blocked, boardEl);
+    renderRegionBadges(state.regions, state.regionMap, boardEl);
+
+    for (const cellEl of boardEl.querySelectorAll(".board-cell")) {
+      const cell = { row: Number(cellEl.dataset.row), col: Number(cellEl.dataset.col) };
+      const region = regionAt(draft, cell);
+      cellEl.classList.toggle("editor-selected-region", region !== null && region.id === selectedRegionId);
+      cellEl.classList.toggle("editor-anchor", stroke?.tool === "starting" && sameCell(stroke.start, cell));
+      cellEl.classList.toggle("editor-offending", highlight.some(c => sameCell(c, cell)));
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Side panel
+  // ----------------------------------------------------------
+  function renderSettings() {
+    $("puzzleId").value = draft.id || "";
+    $("puzzleTitle").value = draft.title || "";
+    $("puzzleDifficulty").value = draft.difficulty || "";
+    $("boardWidth").value = draft.width;
+    $("boardHeight").value = draft.height;
+    $("dominoSet").value = draft.dominoSet;
+  }
+
+  function renderRegionPanel() {
+    const region = draft.regions.find(r => r.id === selectedRegionId);
+    if (!region) selectedRegionId = null;
+
+    regionLabel.textContent = region
+      ? `Region ${region.id} (${region.cells.length} cell${region.cells.length === 1 ? "" : "s"})`
+      : "No region selected";
+    ruleInput.disabled = !region;
+    if (document.activeElement !== ruleInput) {
+      ruleInput.value = region?.rule ?? "";
+    }
+  }
+
+  function renderDominoPanel() {
+    const ids = buildDominoSet(DOMINO_SETS[draft.dominoSet]);
+    const starting = new Set(draft.startingDominos.map(s => s.domino));
+
+    // Starting domino choice keeps its value across redraws
+    const chosen = startingSelect.value;
+    startingSelect.innerHTML = "";
+    for (const id of ids) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = starting.has(id) ? `${id} (placed)` : id;
+      startingSelect.appendChild(option);
+    }
+    if (ids.includes(chosen)) startingSelect.value = chosen;
+
+    paletteEl.innerHTML = "";
+    for (const id of ids) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "pips-editor-domino";
+      button.dataset.dominoId = id;
+      button.textContent = id;
+      button.setAttribute("aria-pressed", String(draft.dominos.includes(id)));
+      button.disabled = starting.has(id);
+      button.title = starting.has(id) ? "Placed as a starting domino" : "Toggle in tray";
+      paletteEl.appendChild(button);
+    }
+
+    const needed = requiredTrayCount(draft);
+    trayCountEl.textContent = `Tray: ${draft.dominos.length} / ${Number.isInteger(needed) ? needed : "—"} needed`;
+    trayCountEl.dataset.ok = String(draft.dominos.length === needed);
+  }
+
+  function renderValidation() {
+    const def = exportPuzzle(draft);
+    const result = validateStructure(def, { verifySolution: Boolean(def._solution) });
+
+    validationEl.innerHTML = "";
+    validationEl.dataset.status = result.status;
+
+    if (result.status === "Accepted") {
+      const item = document.createElement("li");
+      item.textContent = "Accepted by validateStructure.";
+      validationEl.appendChild(item);
+      return;
+    }
+
+    for (const error of result.errors) {
+      const item = document.createElement("li");
+      const code = document.createElement("code");
+      code.textContent = error.code;
+      item.append(code, ` ${error.message}`);
+      if (error.path) item.title = error.path;
+      validationEl.appendChild(item);
+    }
+  }
+
+  function renderExport() {
+    if (document.activeElement === exportEl) return;
+    exportEl.value = JSON.stringify(exportPuzzle(draft), null, 2);
+  }
+
+  // Full redraw after every edit
+  function refresh(highlight) {
+    renderDraftBoard(highlight);
+    renderRegionPanel();
+    renderDominoPanel();
+    renderValidation();
+    renderExport();
+    if (!draft._solution) solveResultEl.textContent = "";
+  }
+
+  // ----------------------------------------------------------
+  // Board strokes (pointer down → move → up)
+  // ----------------------------------------------------------
+  function currentTool() {
+    return document.querySelector('input[name="editorTool"]:checked')?.value || "blocked";
+  }
+
+  // Dominos sit on top of the cells; look through them
+  function cellFromPoint(x, y) {
+    const el = document.elementsFromPoint(x, y).find(e => e.classList?.contains("board-cell"));
+    if (!el || !boardEl.contains(el)) return null;
+    return { row: Number(el.dataset.row), col: Number(el.dataset.col) };
+  }
+
+  function applyStroke(cell) {
+    stroke.last = cell;
+
+    switch (stroke.tool) {
+      case "blocked":
+        setBlocked(draft, cell, stroke.block);
+        break;
+      case "region":
+        paintRegion(draft, cell, stroke.regionId);
+        break;
+      case "erase":
+        eraseRegion(draft, cell);
+        break;
+    }
+  }
+
+  boardEl.addEventListener("pointerdown", (ev) => {
+    const cell = cellFromPoint(ev.clientX, ev.clientY);
+    if (!cell || ev.button !== 0) return;
+    ev.preventDefault();
+
+    const tool = currentTool();
+    stroke = { tool, start: cell, last: cell };
+
+    if (tool === "blocked") {
+      stroke.block = !isBlocked(draft, cell);
+    } else if (tool === "region") {
+      stroke.regionId = regionAt(draft, cell)?.id ?? nextRegionId(draft);
+      selectedRegionId = stroke.regionId;
+    }
+
+    if (tool !== "starting") applyStroke(cell);
+    refresh();
+  });
+
+  window.addEventListener("pointermove", (ev) => {
+    if (!stroke || stroke.tool === "starting") return;
+
+    const cell = cellFromPoint(ev.clientX, ev.clientY);
+    if (!cell || sameCell(cell, stroke.last)) return;
+
+    applyStroke(cell);
+    refresh();
+  });
+
+  window.addEventListener("pointerup", (ev) => {
+    if (!stroke) return;
+    const { tool, start } = stroke;
+    stroke = null;
+
+    if (tool !== "starting") return;
+
+    const end = cellFromPoint(ev.clientX, ev.clientY) || start;
+
+    // Click on a starting domino removes it
+    if (sameCell(start, end)) {
+      const existing = startingDominoAt(draft, start);
+      if (existing) removeStartingDomino(draft, existing.domino);
+      refresh();
+      return;
+    }
+
+    const res = placeStartingDomino(draft, startingSelect.value, [start, end]);
+    if (res.ok) {
+      showStatus("");
+      refresh();
+    } else {
+      showStatus(describeRejection(res.reason), "error");
+      refresh(offendingCells(res.reason, res.info));
+    }
+  });
+
+  // ----------------------------------------------------------
+  // Settings, rules, tray
+  // ----------------------------------------------------------
+  for (const [id, field] of [["puzzleId", "id"], ["puzzleTitle", "title"], ["puzzleDifficulty", "difficulty"]]) {
+    $(id).addEventListener("input", (ev) => {
+      draft[field] = ev.target.value.trim();
+      renderValidation();
+      renderExport();
+    });
+  }
+
+  for (const id of ["boardWidth", "boardHeight"]) {
+    $(id).addEventListener("change", () => {
+      resizeDraft(draft, clampSize($("boardWidth").value), clampSize($("boardHeight").value));
+      renderSettings();
+      refresh();
+    });
+  }
+
+  $("dominoSet").addEventListener("change", (ev) => {
+    setDominoSet(draft, ev.target.value);
+    refresh();
+  });
+
+  ruleInput.addEventListener("input", () => {
+    if (selectedRegionId === null) return;
+    setRegionRule(draft, selectedRegionId, ruleInput.value);
+    refresh();
+  });
+
+  paletteEl.addEventListener("click", (ev) => {
+    const button = ev.target.closest(".pips-editor-domino");
+    if (!button || button.disabled) return;
+    toggleTrayDomino(draft, button.dataset.dominoId);
+    refresh();
+  });
+
+  // ----------------------------------------------------------
+  // Solve: uniqueness check + _solution for export
+  // ----------------------------------------------------------
+  $("solveBtn").addEventListener("click", () => {
+    delete draft._solution;
+    const def = exportPuzzle(draft);
+
+    if (validateStructure(def).status === "Rejected") {
+      solveResultEl.textContent = "Fix the validation errors first.";
+      return;
+    }
+
+    const res = solvePuzzle(loadPuzzle(def), {
+      maxSolutions: 1,
+      countLimit: 2,
+      nodeLimit: SOLVE_NODE_LIMIT
+    });
+
+    if (res.count > 0) draft._solution = { placements: res.solutions[0] };
+    refresh();
+
+    if (res.count === 0) {
+      solveResultEl.textContent = res.aborted ? "Solver gave up without a solution." : "No solution.";
+    } else if (res.aborted) {
+      solveResultEl.textContent = "Solved; uniqueness not proven (solver gave up).";
+    } else if (res.count === 1) {
+      solveResultEl.textContent = "Unique solution — added as _solution.";
+    } else {
+      solveResultEl.textContent = "More than one solution — add rules or starting dominos.";
+    }
+  });
+
+  // ----------------------------------------------------------
+  // Export / import
+  // ----------------------------------------------------------
+  $("copyBtn").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(exportPuzzle(draft), null, 2));
+      showStatus("Copied puzzle JSON.");
+    } catch (err) {
+      console.warn("editor: clipboard write failed", err);
+      exportEl.select();
+      showStatus("Copy failed — select the text and copy it manually.", "error");
+    }
+  });
+
+  // Play link (index.html?code=); only for puzzles the game accepts
+  $("playLinkBtn").addEventListener("click", async () => {
+    const def = exportPuzzle(draft);
+    if (validateStructure(def).status === "Rejected") {
+      showStatus("Fix the validation errors before sharing.", "error");
+      return;
+    }
+
+    const link = shareUrl(encodeShareCode(def), "index.html");
+    try {
+      await navigator.clipboard.writeText(link);
+      showStatus("Play link copied.");
+    } catch (err) {
+      console.warn("editor: clipboard write failed", err);
+      showStatus(link);
+    }
+  });
+
+  $("downloadBtn").addEventListener("click", () => {
+    const blob = new Blob([JSON.stringify(exportPuzzle(draft), null, 2) + "\n"], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${draft.id || "puzzle"}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  $("loadBtn").addEventListener("click", () => {
+    let json;
+    try {
+      json = JSON.parse(exportEl.value);
+    } catch (err) {
+      showStatus(`Not valid JSON: ${err.message}`, "error");
+      return;
+    }
+
+    const schemaErrors = validateSchema(json);
+    if (schemaErrors.length > 0) {
+      const [first] = schemaErrors;
+      showStatus(`${first.code} at ${first.path || "/"}: ${first.message}`, "error");
+      return;
+    }
+
+    draft = draftFromPuzzle(json);
+    selectedRegionId = null;
+    exportEl.blur();
+    showStatus("Loaded puzzle.");
+    renderSettings();
+    refresh();
+  });
+
+  $("newBtn").addEventListener("click", () => {
+    draft = createDraft({
+      width: clampSize($("boardWidth").value),
+      height: clampSize($("boardHeight").value),
+      dominoSet: $("dominoSet").value
+    });
+    selectedRegionId = null;
+    showStatus("");
+    renderSettings();
+    refresh();
+  });
+
+  // ----------------------------------------------------------
+  // Initial render
+  // ----------------------------------------------------------
+  for (const name of Object.keys(DOMINO_SETS)) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    $("dominoSet").appendChild(option);
+  }
+  $("boardWidth").max = MAX_BOARD_SIZE;
+  $("boardHeight").max = MAX_BOARD_SIZE;
+
+  renderSettings();
+  refresh();
+
+  // Console access, like window.__PIPS in the game
+  window.__PIPS_EDITOR = {
+    draft: () => draft,
+    exportPuzzle: () => exportPuzzle(draft)
+  };
+
+  return { getDraft: () => draft };
+}
@@ -0,0 +1,128 @@
+// ============================================================
+// FILE: engine/catalog.js
+// PURPOSE:
+//   Classify puzzle definitions for the catalog manifest.
+// NOTES:
+//   - Pure engine logic: callers supply parsed JSON.
+//   - Status comes from validation, never from file names:
+//       VALID    structurally accepted and solvable
+//       NOT-YET  structurally accepted, no solution found yet
+//       BAD      rejected by structural validation
+//   - VALID entries also carry the rater's verdict
+//     (engine/rater.js); difficulty stays the file's own label.
+// ============================================================
+
+import { validateStructure } from "./structuralValidator.js";
+import { loadPuzzle } from "./loader.js";
+import { solvePuzzle } from "./solver.js";
+import { ratePuzzle } from "./rater.js";
+
+export const CATALOG_STATUS = {
+  Valid: "VALID",
+  NotYet: "NOT-YET",
+  Bad: "BAD"
+};
+
+// ------------------------------------------------------------
+// classifyPuzzle(puzzleDef)
+// RETURNS:
+//   { status, errors: [code...], unique: boolean|null }
+//   unique is null when the solver did not run or gave up.
+// ------------------------------------------------------------
+export function classifyPuzzle(puzzleDef) {
+  const validation = validateStructure(puzzleDef);
+
+  if (validation.status === "Rejected") {
+    return {
+      status: CATALOG_STATUS.Bad,
+      errors: [...new Set(validation.errors.map(e => e.code))],
+      unique: null
+    };
+  }
+
+  const res = solvePuzzle(loadPuzzle(puzzleDef), { maxSolutions: 0, countLimit: 2 });
+
+  if (res.count === 0) {
+    return { status: CATALOG_STATUS.NotYet, errors: [], unique: null };
+  }
+
+  return {
+    status: CATALOG_STATUS.Valid,
+    errors: [],
+    unique: res.aborted ? null : res.count === 1
+  };
+}
+
+// ------------------------------------------------------------
+// buildCatalogEntry(file, puzzleDef)
+// One manifest row; file is relative to the puzzles/ folder.
+// rating: { level, score, hardest, steps } for VALID puzzles,
+// else null (see ratePuzzle).
+// ------------------------------------------------------------
+export function buildCatalogEntry(file, puzzleDef) {
+  const { status, errors, unique } = classifyPuzzle(puzzleDef);
+
+  let rating = null;
+  if (status === CATALOG_STATUS.Valid) {
+    const r = ratePuzzle(puzzleDef);
+    if (r.solved) rating = { level: r.rating, score: r.score, hardest: r.hardest, steps: r.steps };
+  }
+
+  return {
+    id: puzzleDef.id ?? file.replace(/\.json$/, ""),
+    file,
+    title: puzzleDef.title ?? file,
+    width: puzzleDef.width,
+    height: puzzleDef.height,
+    difficulty: puzzleDef.difficulty ?? null,
+    rating,
+    status,
+    unique,
+    errors
+  };
+}
+
+// ------------------------------------------------------------
+// buildCatalog(files)
+// files: [{ file, json }] in display order.
+// Duplicate ids would share saved games and URLs, so every
+// entry after the first with the same id is marked BAD.
+// ------------------------------------------------------------
+export function buildCatalog(files) {
+  const seen = new Set();
+
+  const puzzles = files.map(({ file, json }) => {
+    const entry = buildCatalogEntry(file, json);
+
+    if (seen.has(entry.id)) {
+      entry.status = CATALOG_STATUS.Bad;
+      entry.errors = [...entry.errors, "DUPLICATE_PUZZLE_ID"];
+    }
+    seen.add(entry.id);
+
+    return entry;
+  });
+
+  return { version: 1, puzzles };
+}
+
+// ------------------------------------------------------------
+// nextCatalogEntry(catalog, id)
+// Next VALID puzzle after id, wrapping around; null if none.
+// ------------------------------------------------------------
+export function nextCatalogEntry(catalog, id) {
+  const playable = (catalog?.puzzles || []).filter(p => p.status === CATALOG_STATUS.Valid);
+  if (playable.length === 0) return null;
+
+  const index = playable.findIndex(p => p.id === id);
+  const next = playable[(index + 1) % playable.length];
+  return next.id === id ? null : next;
+}
+
+// ------------------------------------------------------------
+// findCatalogEntry(catalog, id)
+// ------------------------------------------------------------
+export function findCatalogEntry(catalog, id) {
+  if (!catalog || !Array.isArray(catalog.puzzles) || !id) return null;
+  return catalog.puzzles.find(p => p.id === id) || null;
+}
@@ -0,0 +1,42 @@
+// ============================================================
+// FILE: engine/clock.js
+// PURPOSE: Pausable elapsed-time clock for a play session.
+// NOTES:
+//   - No DOM; the time source is injectable for Node use.
+//   - elapsed() includes the running segment, if any.
+// ============================================================
+
+// ------------------------------------------------------------
+// formatElapsed(ms) → "m:ss"
+// ------------------------------------------------------------
+export function formatElapsed(ms) {
+  const total = Math.floor((ms || 0) / 1000);
+  const m = Math.floor(total / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+export function createClock({ elapsedMs = 0, now = () => Date.now() } = {}) {
+  let banked = elapsedMs;
+  let runningSince = null;
+
+  return {
+    start() {
+      if (runningSince === null) runningSince = now();
+    },
+
+    pause() {
+      if (runningSince === null) return;
+      banked += now() - runningSince;
+      runningSince = null;
+    },
+
+    isRunning() {
+      return runningSince !== null;
+    },
+
+    elapsed() {
+      return banked + (runningSince === null ? 0 : now() - runningSince);
+    }
+  };
+}
@@ -0,0 +1,192 @@
+// ============================================================
+// FILE: engine/daily.js
+// PURPOSE:
+//   Puzzle of the day: the same generated puzzle for everyone
+//   on a calendar date, plus the per-day completion history
+//   and streaks kept for it.
+// NOTES:
+//   - Pure engine logic: no DOM, no storage, no clock reads
+//     unless the caller omits the date. ui/saveStore.js keeps
+//     the history.
+//   - Days are "YYYY-MM-DD" keys in the player's local calendar;
+//     the puzzle depends on the key alone (generator seed), so
+//     no server is involved.
+//   - Changing engine/generator.js or engine/rater.js changes
+//     the puzzles; the id is the key, so history and saves still
+//     line up.
+//   - The weekday difficulty is the puzzle's rating
+//     (engine/rater.js): generatePuzzle only returns layouts
+//     rated at the difficulty asked for.
+//   - Which solves count is up to the caller: main.js records
+//     only today's puzzle, started as a daily.
+//
+// HISTORY SHAPE:
+//   { version: DAILY_HISTORY_VERSION,
+//     days: { [key]: { moves, elapsedMs, solvedAt } } }
+// ============================================================
+
+import { generatePuzzle } from "./generator.js";
+
+export const DAILY_HISTORY_VERSION = 1;
+
+const ID_PREFIX = "daily-";
+const KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday..Sunday ramp, like a newspaper puzzle page
+const WEEKDAY_DIFFICULTY = ["easy", "easy", "medium", "medium", "medium", "hard", "hard"];
+
+// Extra seeds tried (in order) if the generator gives up
+const SEED_RETRIES = 5;
+
+// ------------------------------------------------------------
+// Day keys
+// ------------------------------------------------------------
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+
+// dailyKey(date): local calendar day of date (default: now)
+export function dailyKey(date = new Date()) {
+  return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Key → days since 1970-01-01 (UTC arithmetic, so no DST
+// surprises), or null for anything that isn't a real date
+function dayNumber(key) {
+  const m = KEY_PATTERN.exec(String(key));
+  if (!m) return null;
+
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const ms = Date.UTC(year, month - 1, day);
+  const check = new Date(ms);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  return Math.round(ms / DAY_MS);
+}
+
+export function isDailyKey(key) {
+  return dayNumber(key) !== null;
+}
+
+export function dailyPuzzleId(key) {
+  return ID_PREFIX + key;
+}
+
+// daily-YYYY-MM-DD → key; null for other puzzle ids
+export function dailyKeyOf(puzzleId) {
+  const id = String(puzzleId ?? "");
+  if (!id.startsWith(ID_PREFIX)) return null;
+
+  const key = id.slice(ID_PREFIX.length);
+  return isDailyKey(key) ? key : null;
+}
+
+// ------------------------------------------------------------
+// dailyPuzzle(key)
+// ------------------------------------------------------------
+
+/**
+ * dailyPuzzle(key)
+ * The puzzle for a day: generated from the key, rated by
+ * weekday (easy early in the week, hard at the weekend).
+ *
+ * RETURNS:
+ *   puzzle JSON (generatePuzzle shape) with id "daily-<key>"
+ *
+ * THROWS:
+ *   - key is not a valid YYYY-MM-DD date
+ *   - every seed retry failed (never seen in practice)
+ */
+export function dailyPuzzle(key) {
+  const day = dayNumber(key);
+  if (day === null) throw new Error(`dailyPuzzle: not a date "${key}"`);
+
+  // 1970-01-01 was a Thursday
+  const difficulty = WEEKDAY_DIFFICULTY[(day + 3) % 7];
+
+  for (let retry = 0; retry <= SEED_RETRIES; retry++) {
+    const seed = retry === 0 ? `daily:${key}` : `daily:${key}#${retry}`;
+
+    let puzzle;
+    try {
+      puzzle = generatePuzzle({ seed, difficulty });
+    } catch {
+      continue;
+    }
+
+    puzzle.id = dailyPuzzleId(key);
+    puzzle.title = `Daily Pips — ${key}`;
+    return puzzle;
+  }
+
+  throw new Error(`dailyPuzzle: no puzzle for ${key}`);
+}
+
+// ------------------------------------------------------------
+// History
+// ------------------------------------------------------------
+export function createDailyHistory() {
+  return { version: DAILY_HISTORY_VERSION, days: {} };
+}
+
+// Unknown or damaged history reads as empty
+export function normalizeDailyHistory(history) {
+  if (
+    !history ||
+    history.version !== DAILY_HISTORY_VERSION ||
+    !history.days ||
+    typeof history.days !== "object"
+  ) {
+    return createDailyHistory();
+  }
+  return history;
+}
+
+/**
+ * recordDailyResult(history, key, { moves, elapsedMs, solvedAt })
+ * RETURNS: a new history with the day marked solved; a day that
+ * is already recorded keeps its first result.
+ */
+export function recordDailyResult(history, key, { moves = 0, elapsedMs = 0, solvedAt = Date.now() } = {}) {
+  const base = normalizeDailyHistory(history);
+  if (!isDailyKey(key) || base.days[key]) return base;
+
+  return {
+    ...base,
+    days: { ...base.days, [key]: { moves, elapsedMs, solvedAt } }
+  };
+}
+
+/**
+ * dailyStreak(history, todayKey)
+ * RETURNS: { current, best, total }
+ *   current  consecutive solved days ending today, or ending
+ *            yesterday while today is still open
+ *   best     longest run of consecutive solved days
+ *   total    days solved
+ */
+export function dailyStreak(history, todayKey = dailyKey()) {
+  const days = Object.keys(normalizeDailyHistory(history).days)
+    .map(dayNumber)
+    .filter(n => n !== null);
+  const solved = new Set(days);
+
+  let best = 0;
+  for (const n of solved) {
+    if (solved.has(n - 1)) continue; // not the start of a run
+    let length = 1;
+    while (solved.has(n + length)) length++;
+    best = Math.max(best, length);
+  }
+
+  const today = dayNumber(todayKey);
+  let current = 0;
+  if (today !== null) {
+    let n = solved.has(today) ? today : today - 1;
+    while (solved.has(n)) {
+      current++;
+      n--;
+    }
+  }
+
+  return { current, best, total: solved.size };
+}
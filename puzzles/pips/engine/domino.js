@@ -4,6 +4,8 @@
 // NOTES:
 //   - No DOM, no UI, no grid mutation.
 //   - Placement authority is d.cells only.
+//   - Sets up to double-twelve; ids with a pip of 10+ are
+//     hyphenated ("3-11").
 //
 // INVARIANT:
 //   This engine is cells-authoritative.
@@ -13,37 +15,91 @@
 //     proposal.cells -> domino.cells -> grid
 // ============================================================
 
-// Canonical tray ordering for 0–6 domino set.
-export const MASTER_TRAY = [
-  "00","01","02","03","04","05","06",
-  "11","12","13","14","15","16",
-  "22","23","24","25","26",
-  "33","34","35","36",
-  "44","45","46",
-  "55","56",
-  "66"
-];
-
-export function isValidDominoId(id) {
-  if (typeof id !== "string" || !/^[0-6][0-6]$/.test(id)) return false;
-  const a = Number(id[0]);
-  const b = Number(id[1]);
-  return a <= b;
+// ------------------------------------------------------------
+// Domino sets
+// A puzzle declares its set with "dominoSet" (default
+// "double-six"); the set bounds every pip value.
+// ------------------------------------------------------------
+export const DEFAULT_DOMINO_SET = "double-six";
+
+export const DOMINO_SETS = {
+  "double-six": 6,
+  "double-nine": 9,
+  "double-twelve": 12
+};
+
+// Largest pip of any supported set (renderer draws up to this)
+export const MAX_PIP = 12;
+
+// ------------------------------------------------------------
+// resolveDominoSet(puzzleDef)
+// RETURNS: { name, maxPip } or null for an unknown set name.
+// ------------------------------------------------------------
+export function resolveDominoSet(puzzleDef) {
+  const name = puzzleDef?.dominoSet ?? DEFAULT_DOMINO_SET;
+  const maxPip = DOMINO_SETS[name];
+  return typeof maxPip === "number" ? { name, maxPip } : null;
+}
+
+// ------------------------------------------------------------
+// Domino IDs
+//   Low pip first. Both pips 0–9: two digits, "05", "99".
+//   Either pip 10+: hyphenated, "5-10", "12-12".
+// One spelling per domino, so ids stay usable as Map keys.
+// ------------------------------------------------------------
+export function formatDominoId(a, b) {
+  const [lo, hi] = a <= b ? [a, b] : [b, a];
+  return hi < 10 ? `${lo}${hi}` : `${lo}-${hi}`;
+}
+
+// RETURNS: { pip0, pip1 } in id order, or null if unparseable
+function parseDominoId(id) {
+  if (typeof id !== "string") return null;
+  const m = /^(\d)(\d)$/.exec(id) || /^(\d{1,2})-(\d{1,2})$/.exec(id);
+  return m ? { pip0: Number(m[1]), pip1: Number(m[2]) } : null;
+}
+
+// ------------------------------------------------------------
+// buildDominoSet(maxPip)
+// Canonical tray ordering: "00","01",… "0N","11",… "NN".
+// ------------------------------------------------------------
+export function buildDominoSet(maxPip = DOMINO_SETS[DEFAULT_DOMINO_SET]) {
+  const ids = [];
+  for (let a = 0; a <= maxPip; a++) {
+    for (let b = a; b <= maxPip; b++) ids.push(formatDominoId(a, b));
+  }
+  return ids;
+}
+
+// Canonical tray ordering for the 0–6 domino set.
+export const MASTER_TRAY = buildDominoSet(6);
+
+// Valid = canonical spelling, low pip first, within the set
+export function isValidDominoId(id, maxPip = DOMINO_SETS[DEFAULT_DOMINO_SET]) {
+  const pips = parseDominoId(id);
+  if (!pips) return false;
+
+  const { pip0: a, pip1: b } = pips;
+  return a <= b && b <= maxPip && id === formatDominoId(a, b);
 }
 
 export function getPipsFromId(id) {
-  return {
-    pip0: Number(id[0]),
-    pip1: Number(id[1])
-  };
+  return parseDominoId(String(id)) || { pip0: NaN, pip1: NaN };
+}
+
+// Tray order comparator (any set): low pip, then high pip
+export function compareDominoIds(x, y) {
+  const a = getPipsFromId(x);
+  const b = getPipsFromId(y);
+  return a.pip0 - b.pip0 || a.pip1 - b.pip1;
 }
 
-export function getHomeSlot(id) {
-  return MASTER_TRAY.indexOf(id);
+export function getHomeSlot(id, maxPip = DOMINO_SETS[DEFAULT_DOMINO_SET]) {
+  return buildDominoSet(maxPip).indexOf(id);
 }
 
-export function createDomino(id) {
-  if (!isValidDominoId(id)) {
+export function createDomino(id, maxPip = MAX_PIP) {
+  if (!isValidDominoId(id, maxPip)) {
     throw new Error(`Invalid domino ID: ${id}`);
   }
 
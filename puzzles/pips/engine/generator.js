@@ -0,0 +1,478 @@
+// ============================================================
+// FILE: generator.js
+// PURPOSE: Procedural Pips puzzle generator.
+// NOTES:
+//   - Pure engine logic: no DOM, no UI, no side effects.
+//   - Runs in the browser and in Node (ES module).
+//   - Fully deterministic for a given seed (own PRNG; never
+//     touches Math.random).
+//   - Output is a puzzle JSON in the exact schema accepted by
+//     validateStructure(), including _solution.
+//
+// PIPELINE:
+//   1. Grow a connected board shape out of random domino
+//      placements; uncovered cells become blocked.
+//      (The growth order is the hidden solution tiling.)
+//   2. Deal dominos from MASTER_TRAY onto that tiling.
+//   3. Partition the playable cells into connected regions.
+//   4. Give every region its tightest rule (exact sum).
+//   5. Tighten until the solver proves a unique solution:
+//      split regions a competing solution fills differently,
+//      then fix dominos it places differently.
+//   6. Loosen / drop rules while the solution stays unique,
+//      as far as the difficulty target allows.
+//   7. Keep the layout only if engine/rater.js rates it at the
+//      requested difficulty; otherwise start over.
+// ============================================================
+
+import { MASTER_TRAY, getHomeSlot, getPipsFromId } from "./domino.js";
+import { formatRule } from "./ruleParser.js";
+import { loadPuzzle } from "./loader.js";
+import { hasUniqueSolution, solvePuzzle } from "./solver.js";
+import { ratePuzzle } from "./rater.js";
+
+// ------------------------------------------------------------
+// Difficulty targets
+//   dominos      tiling size
+//   regionSize   [min, max] cells per region
+//   loosen       share of regions whose rule may be loosened
+//   drop         share of regions whose rule may be removed
+// ------------------------------------------------------------
+export const DIFFICULTY = {
+  easy:   { dominos: 6,  regionSize: [1, 2], loosen: 0.25, drop: 0 },
+  medium: { dominos: 9,  regionSize: [1, 3], loosen: 0.6,  drop: 0.15 },
+  hard:   { dominos: 12, regionSize: [2, 4], loosen: 1,    drop: 0.35 }
+};
+
+const UNIQUE_NODE_LIMIT = 200000;
+
+// ============================================================
+// Seeded PRNG
+// ============================================================
+
+/**
+ * hashSeed(seed)
+ * Numbers pass through; strings are hashed (FNV-1a) so that
+ * seeds like "2026-10-19" are reproducible too.
+ */
+export function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * createRng(seed)
+ * mulberry32 PRNG with a few helpers.
+ */
+export function createRng(seed) {
+  let a = hashSeed(seed);
+
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (lo, hi) => lo + Math.floor(next() * (hi - lo + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    shuffle(list) {
+      const out = list.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    }
+  };
+}
+
+// ============================================================
+// generatePuzzle(options)
+// ============================================================
+
+/**
+ * generatePuzzle(options)
+ * Produces a uniquely solvable puzzle definition whose
+ * ratePuzzle() rating equals the requested difficulty.
+ *
+ * EXPECTS:
+ *   - options:
+ *       seed         number or string (default 1)
+ *       width        board columns (default 6)
+ *       height       board rows (default 6)
+ *       difficulty   "easy" | "medium" | "hard" (default "medium")
+ *       maxAttempts  fresh layouts to try (default 40)
+ *
+ * RETURNS:
+ *   puzzle JSON: { id, title, width, height, dominos,
+ *                  startingDominos, blocked, regions,
+ *                  difficulty, seed, _solution }
+ *
+ * THROWS:
+ *   - Unknown difficulty, board too small, or no unique layout
+ *     at that rating within maxAttempts.
+ */
+export function generatePuzzle(options = {}) {
+  const {
+    seed = 1,
+    width = 6,
+    height = 6,
+    difficulty = "medium",
+    maxAttempts = 40
+  } = options;
+
+  const target = DIFFICULTY[difficulty];
+  if (!target) throw new Error(`generatePuzzle: unknown difficulty "${difficulty}"`);
+
+  const dominoCount = Math.min(target.dominos, Math.floor((width * height) / 2), MASTER_TRAY.length);
+  if (dominoCount < 2) throw new Error("generatePuzzle: board too small");
+
+  const rng = createRng(seed);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const puzzle = attemptPuzzle(rng, { width, height, dominoCount, target });
+    if (!puzzle || ratePuzzle(puzzle).rating !== difficulty) continue;
+
+    puzzle.id = `gen-${difficulty}-${width}x${height}-${seed}`;
+    puzzle.title = `Generated ${capitalize(difficulty)} ${width}x${height} #${seed}`;
+    puzzle.difficulty = difficulty;
+    puzzle.seed = seed;
+    return orderKeys(puzzle);
+  }
+
+  throw new Error(`generatePuzzle: no unique ${difficulty} puzzle after ${maxAttempts} attempts (seed ${seed})`);
+}
+
+// ------------------------------------------------------------
+// attemptPuzzle(rng, params)
+// One full pipeline run; null if uniqueness cannot be reached.
+// ------------------------------------------------------------
+function attemptPuzzle(rng, { width, height, dominoCount, target }) {
+  const tiling = growTiling(rng, width, height, dominoCount);
+  if (!tiling) return null;
+
+  // Deal dominos onto the tiling (random orientation)
+  const ids = rng.shuffle(MASTER_TRAY).slice(0, tiling.length);
+  const placements = tiling.map(([a, b], i) =>
+    rng.next() < 0.5
+      ? { domino: ids[i], cells: [a, b] }
+      : { domino: ids[i], cells: [b, a] }
+  );
+
+  const values = cellValues(placements);
+
+  const playable = placements.flatMap(p => p.cells);
+  const cellGroups = partitionRegions(rng, playable, target.regionSize);
+
+  const puzzle = {
+    width,
+    height,
+    dominos: sortByTray(placements.map(p => p.domino)),
+    startingDominos: [],
+    blocked: blockedCells(width, height, values),
+    regions: [],
+    _solution: { placements }
+  };
+
+  // Every region starts at its tightest rule
+  const regions = cellGroups.map(cells => ({
+    cells,
+    rule: exactRule(cells, values)
+  }));
+
+  puzzle.regions = numberRegions(regions);
+
+  // ----------------------------------------------------------
+  // Tighten until unique: compare against a competing solution
+  // and split the region (or fix the domino) that tells them apart
+  // ----------------------------------------------------------
+  for (;;) {
+    const res = solvePuzzle(loadPuzzle(puzzle), {
+      maxSolutions: 2,
+      countLimit: 2,
+      nodeLimit: UNIQUE_NODE_LIMIT
+    });
+
+    if (res.count === 1 && !res.aborted) break;
+    if (res.count === 0 && !res.aborted) return null;
+
+    const other = res.solutions.find(sol => !sameTiling(sol, placements));
+    const otherValues = other ? cellValues(other) : null;
+
+    const splitIndex = regions.findIndex(r =>
+      r.cells.length > 1 &&
+      (!otherValues || r.cells.some(c => otherValues.get(key(c)) !== values.get(key(c))))
+    );
+
+    if (splitIndex !== -1) {
+      const [big] = regions.splice(splitIndex, 1);
+      for (const cell of big.cells) {
+        regions.push({ cells: [cell], rule: exactRule([cell], values) });
+      }
+      puzzle.regions = numberRegions(regions);
+      continue;
+    }
+
+    // Values agree everywhere: only the pairing differs, so fix
+    // a domino the competing solution places elsewhere.
+    const fixedIds = new Set(puzzle.startingDominos.map(s => s.domino));
+    const candidates = placements.filter(p =>
+      !fixedIds.has(p.domino) &&
+      (!other || !other.some(q => q.domino === p.domino && sameCells(q.cells, p.cells)))
+    );
+    if (candidates.length === 0) return null;
+
+    const fixed = rng.pick(candidates);
+    puzzle.startingDominos.push({ domino: fixed.domino, cells: fixed.cells });
+    puzzle.dominos = puzzle.dominos.filter(id => id !== fixed.domino);
+  }
+
+  // ----------------------------------------------------------
+  // Loosen / drop while unique (difficulty budget)
+  // ----------------------------------------------------------
+  let loosenBudget = Math.round(regions.length * target.loosen);
+  let dropBudget = Math.round(regions.length * target.drop);
+
+  for (const region of rng.shuffle(regions)) {
+    if (dropBudget > 0 && tryChange(puzzle, regions, () => {
+      regions.splice(regions.indexOf(region), 1);
+    })) {
+      dropBudget--;
+      continue;
+    }
+
+    if (loosenBudget > 0) {
+      for (const rule of rng.shuffle(looserRules(region.cells, values))) {
+        if (tryChange(puzzle, regions, () => { region.rule = rule; })) {
+          loosenBudget--;
+          break;
+        }
+      }
+    }
+  }
+
+  puzzle.regions = numberRegions(regions);
+  return puzzle;
+}
+
+// ------------------------------------------------------------
+// tryChange(puzzle, regions, mutate)
+// Applies mutate() to regions; keeps the change only if the
+// puzzle is still provably unique, otherwise restores it.
+// ------------------------------------------------------------
+function tryChange(puzzle, regions, mutate) {
+  const backup = regions.slice();
+  const rules = regions.map(r => r.rule);
+  mutate();
+  puzzle.regions = numberRegions(regions);
+
+  if (isUnique(puzzle)) return true;
+
+  regions.splice(0, regions.length, ...backup);
+  regions.forEach((r, i) => { r.rule = rules[i]; });
+  puzzle.regions = numberRegions(regions);
+  return false;
+}
+
+function isUnique(puzzle) {
+  return hasUniqueSolution(loadPuzzle(puzzle), { nodeLimit: UNIQUE_NODE_LIMIT });
+}
+
+// ============================================================
+// Board shape + tiling
+// ============================================================
+
+/**
+ * growTiling(rng, width, height, count)
+ * Grows a connected shape one domino at a time.
+ * RETURNS: [[cellA, cellB], ...] or null if growth stalls.
+ */
+function growTiling(rng, width, height, count) {
+  const used = new Set();
+  const tiling = [];
+
+  const inside = ({ row, col }) => row >= 0 && col >= 0 && row < height && col < width;
+  const free = c => inside(c) && !used.has(key(c));
+
+  const neighbors = ({ row, col }) => [
+    { row: row - 1, col },
+    { row: row + 1, col },
+    { row, col: col - 1 },
+    { row, col: col + 1 }
+  ];
+
+  const take = (a, b) => {
+    used.add(key(a));
+    used.add(key(b));
+    tiling.push([a, b]);
+  };
+
+  // Seed domino
+  const start = { row: rng.int(0, height - 1), col: rng.int(0, width - 1) };
+  const firstPartner = rng.shuffle(neighbors(start)).find(free);
+  if (!firstPartner) return null;
+  take(start, firstPartner);
+
+  // Attach each new domino to the existing shape
+  let stalls = 0;
+  while (tiling.length < count) {
+    const anchor = rng.pick(tiling.flat());
+    const a = rng.pick(neighbors(anchor));
+    const b = free(a) ? rng.shuffle(neighbors(a)).find(free) : null;
+
+    if (!b) {
+      if (++stalls > 500) return null;
+      continue;
+    }
+
+    take(a, b);
+  }
+
+  return tiling;
+}
+
+function blockedCells(width, height, values) {
+  const blocked = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (!values.has(`${row},${col}`)) blocked.push({ row, col });
+    }
+  }
+  return blocked;
+}
+
+// ============================================================
+// Regions + rules
+// ============================================================
+
+/**
+ * partitionRegions(rng, cells, [minSize, maxSize])
+ * Random connected partition of the playable cells.
+ */
+function partitionRegions(rng, cells, [minSize, maxSize]) {
+  const remaining = new Map(cells.map(c => [key(c), c]));
+  const groups = [];
+
+  for (const seed of rng.shuffle(cells)) {
+    if (!remaining.has(key(seed))) continue;
+    remaining.delete(key(seed));
+
+    const group = [seed];
+    const size = rng.int(minSize, maxSize);
+
+    while (group.length < size) {
+      const frontier = group
+        .flatMap(({ row, col }) => [
+          `${row - 1},${col}`, `${row + 1},${col}`,
+          `${row},${col - 1}`, `${row},${col + 1}`
+        ])
+        .filter(k => remaining.has(k));
+
+      if (frontier.length === 0) break;
+
+      const k = rng.pick(frontier);
+      group.push(remaining.get(k));
+      remaining.delete(k);
+    }
+
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+function exactRule(cells, values) {
+  const sum = cells.reduce((t, c) => t + values.get(key(c)), 0);
+  return formatRule({ kind: "sum", op: "=", value: sum });
+}
+
+/**
+ * looserRules(cells, values)
+ * Rules that the hidden solution still satisfies but that
+ * admit more pip combinations than the exact sum.
+ */
+function looserRules(cells, values) {
+  const pips = cells.map(c => values.get(key(c)));
+  const sum = pips.reduce((a, b) => a + b, 0);
+  const rules = [];
+
+  if (pips.length > 1 && pips.every(p => p === pips[0])) {
+    rules.push(formatRule({ kind: "all-equal" }));
+  }
+  if (pips.length > 1 && new Set(pips).size === pips.length) {
+    rules.push(formatRule({ kind: "all-different" }));
+  }
+  if (sum > 0) rules.push(formatRule({ kind: "sum", op: ">", value: sum - 1 }));
+  rules.push(formatRule({ kind: "sum", op: "<", value: sum + 1 }));
+
+  return rules;
+}
+
+function numberRegions(regions) {
+  return regions.map((r, id) => ({
+    id,
+    cells: r.cells.map(c => ({ row: c.row, col: c.col })),
+    rule: r.rule
+  }));
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+function key(c) {
+  return `${c.row},${c.col}`;
+}
+
+function cellValues(placements) {
+  const values = new Map();
+  for (const p of placements) {
+    const { pip0, pip1 } = getPipsFromId(p.domino);
+    values.set(key(p.cells[0]), pip0);
+    values.set(key(p.cells[1]), pip1);
+  }
+  return values;
+}
+
+function sameCells(a, b) {
+  return key(a[0]) === key(b[0]) && key(a[1]) === key(b[1]);
+}
+
+function sameTiling(a, b) {
+  return a.length === b.length && a.every(p =>
+    b.some(q => q.domino === p.domino && sameCells(q.cells, p.cells))
+  );
+}
+
+function sortByTray(ids) {
+  return ids.slice().sort((a, b) => getHomeSlot(a) - getHomeSlot(b));
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function orderKeys(p) {
+  return {
+    id: p.id,
+    title: p.title,
+    width: p.width,
+    height: p.height,
+    difficulty: p.difficulty,
+    seed: p.seed,
+    dominos: p.dominos,
+    startingDominos: p.startingDominos,
+    blocked: p.blocked,
+    regions: p.regions,
+    _solution: p._solution
+  };
+}
@@ -0,0 +1,198 @@
+// ============================================================
+// FILE: engine/hints.js
+// PURPOSE:
+//   Solver-backed hints for the current board: find a forced
+//   placement and explain it, or reveal one solution domino.
+// NOTES:
+//   - Pure engine logic: reads state, never mutates it.
+//   - Forced placements come from candidatePlacements(), whose
+//     rejections are proofs, so a forced hint is part of every
+//     solution that extends the current board.
+//   - Hint cells use proposal order (cells[0] shows pip0), so a
+//     hint can be committed as-is.
+//
+// HINT SHAPE:
+//   { kind, message, dominoId, cells, highlight, regionIds }
+//   kind: HINT_KIND value; dominoId/cells are null when the hint
+//   does not name a placement.
+// ============================================================
+
+import { getPipsFromId } from "./domino.js";
+import { formatRule } from "./ruleParser.js";
+import { buildModel, candidateCells, candidatePlacements, modelCell, solvePuzzle } from "./solver.js";
+import { checkSolved } from "./winCheck.js";
+
+export const HINT_KIND = {
+  ForcedCell: "forced-cell",
+  RegionRule: "region-rule",
+  ForcedDomino: "forced-domino",
+  Reveal: "reveal",
+  None: "none",
+  Solved: "solved",
+  Unsolvable: "unsolvable"
+};
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function cellLabel({ row, col }) {
+  return `row ${row + 1}, column ${col + 1}`;
+}
+
+function dominoLabel(id) {
+  const { pip0, pip1 } = getPipsFromId(id);
+  return `${pip0}|${pip1}`;
+}
+
+function hint(kind, message, extra = {}) {
+  return {
+    kind,
+    message,
+    dominoId: null,
+    cells: null,
+    highlight: [],
+    regionIds: [],
+    ...extra
+  };
+}
+
+function placementHint(kind, message, dominoId, cells, regionIds = []) {
+  return hint(kind, message, { dominoId, cells, highlight: cells, regionIds });
+}
+
+// ------------------------------------------------------------
+// boardStatus(state)
+// Shared pre-check: solved / unsolvable hints, else null.
+// ------------------------------------------------------------
+function boardStatus(state) {
+  if (checkSolved(state).solved) {
+    return hint(HINT_KIND.Solved, "The puzzle is already solved.");
+  }
+
+  const res = solvePuzzle(state, { maxSolutions: 1 });
+  if (res.count === 0 && !res.aborted) {
+    return hint(
+      HINT_KIND.Unsolvable,
+      "Some dominos on the board can't all be right — undo or pick one up."
+    );
+  }
+
+  return { solution: res.solutions[0] || null };
+}
+
+// ------------------------------------------------------------
+// findHint(state)
+// ------------------------------------------------------------
+
+/**
+ * findHint(state)
+ * Looks for a placement the current board forces, easiest first:
+ *   1. forced-cell   a cell only one domino can cover
+ *   2. region-rule   same, once region rules rule the rest out
+ *   3. forced-domino a tray domino that fits in only one place
+ *
+ * RETURNS:
+ *   A hint (see HINT SHAPE); kind "none" when nothing is forced.
+ */
+export function findHint(state) {
+  const status = boardStatus(state);
+  if (status.kind) return status;
+
+  const model = buildModel(state, "placed");
+  const cands = candidatePlacements(model);
+  const ok = cands.filter(c => c.ok);
+
+  // ----------------------------------------------------------
+  // Cells with exactly one surviving placement
+  // ----------------------------------------------------------
+  let regionHint = null;
+
+  for (let i = 0; i < model.pip.length; i++) {
+    if (!model.playable[i] || model.pip[i] >= 0) continue;
+
+    const covering = cands.filter(c => c.a === i || c.b === i);
+    const surviving = covering.filter(c => c.ok);
+    if (surviving.length !== 1) continue;
+
+    const [only] = surviving;
+    const cells = candidateCells(model, only);
+    const where = cellLabel(modelCell(model, i));
+    const dom = dominoLabel(only.dominoId);
+
+    const failed = [...new Set(
+      covering.filter(c => c.failedRegion >= 0).map(c => c.failedRegion)
+    )].map(k => model.regions[k]);
+
+    if (failed.length === 0) {
+      const why = covering.some(c => c.isolates)
+        ? " — anything else would strand an empty cell"
+        : "";
+      return placementHint(
+        HINT_KIND.ForcedCell,
+        `Only ${dom} can cover ${where}${why}.`,
+        only.dominoId,
+        cells
+      );
+    }
+
+    if (!regionHint) {
+      const rules = failed.map(r => formatRule(r.rule)).join(", ");
+      regionHint = placementHint(
+        HINT_KIND.RegionRule,
+        `Only ${dom} can cover ${where}: every other choice breaks a region rule (${rules}).`,
+        only.dominoId,
+        cells,
+        failed.map(r => r.id)
+      );
+    }
+  }
+
+  if (regionHint) return regionHint;
+
+  // ----------------------------------------------------------
+  // Dominos with exactly one surviving spot
+  // ----------------------------------------------------------
+  for (const d of model.hand) {
+    const spots = ok.filter(c => c.dominoId === d.id);
+    if (spots.length !== 1) continue;
+
+    return placementHint(
+      HINT_KIND.ForcedDomino,
+      `${dominoLabel(d.id)} fits in only one place.`,
+      d.id,
+      candidateCells(model, spots[0])
+    );
+  }
+
+  return hint(HINT_KIND.None, "Nothing is forced right now — try revealing a domino.");
+}
+
+// ------------------------------------------------------------
+// revealHint(state)
+// ------------------------------------------------------------
+
+/**
+ * revealHint(state)
+ * Stronger fallback: one tray domino's place in a solution that
+ * extends the current board (most constrained cell first).
+ */
+export function revealHint(state) {
+  const status = boardStatus(state);
+  if (status.kind) return status;
+
+  const placement = (status.solution || []).find(
+    p => !Array.isArray(state.dominos.get(String(p.domino))?.cells)
+  );
+
+  if (!placement) {
+    return hint(HINT_KIND.None, "No solution found in time — no domino to reveal.");
+  }
+
+  const cells = placement.cells.map(({ row, col }) => ({ row, col }));
+  return placementHint(
+    HINT_KIND.Reveal,
+    `${dominoLabel(placement.domino)} goes at ${cellLabel(cells[0])} and ${cellLabel(cells[1])}.`,
+    String(placement.domino),
+    cells
+  );
+}
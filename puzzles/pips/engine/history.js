@@ -0,0 +1,119 @@
+// ============================================================
+// FILE: engine/history.js
+// PURPOSE:
+//   Undo/redo command history wrapped around the single commit
+//   boundary (commitPlacement).
+//
+// CONTRACT SUMMARY:
+//   - Every recorded step is an accepted proposal plus the
+//     domino's prior cells; undo/redo replay the opposite
+//     proposal through commitPlacement, so the engine stays the
+//     only authority on legality.
+//   - Rejected proposals and no-op commits are never recorded.
+//   - Starting dominos never enter the history: commitPlacement
+//     rejects them with "starting-domino-immutable".
+//   - A new commit clears the redo stack.
+//
+// ENTRY SHAPE:
+//   { kind, dominoId, before: cells|null, after: cells|null }
+//   kind: "drop" | "return" | "rotate" | caller-defined
+// ============================================================
+
+import { commitPlacement, resolveDomino } from "./placement.js";
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function cloneCells(cells) {
+  return Array.isArray(cells)
+    ? cells.map(({ row, col }) => ({ row, col }))
+    : null;
+}
+
+function sameCells(a, b) {
+  if (a === null || b === null) return a === b;
+  return a.every((cell, i) => cell.row === b[i].row && cell.col === b[i].col);
+}
+
+// ------------------------------------------------------------
+// createHistory(state)
+// ------------------------------------------------------------
+export function createHistory(state) {
+  const undoStack = [];
+  const redoStack = [];
+
+  // ----------------------------------------------------------
+  // commit(proposal, kind) — drop-in for commitPlacement()
+  // ----------------------------------------------------------
+  function commit(proposal, kind = "drop") {
+    const dominoId = String(proposal?.dominoId ?? "");
+    const d = resolveDomino(state, dominoId);
+    const before = cloneCells(d?.cells);
+
+    const res = commitPlacement(state, proposal);
+    if (!res.accepted) return res;
+
+    const after = cloneCells(d.cells);
+    if (!sameCells(before, after)) {
+      undoStack.push({ kind, dominoId, before, after });
+      redoStack.length = 0;
+    }
+
+    return res;
+  }
+
+  // ----------------------------------------------------------
+  // replay(from, to, cellsKey)
+  // Moves one entry between stacks by committing its cells.
+  // ----------------------------------------------------------
+  function replay(from, to, cellsKey, emptyReason) {
+    const entry = from[from.length - 1];
+    if (!entry) return { accepted: false, reason: emptyReason };
+
+    const res = commitPlacement(state, {
+      dominoId: entry.dominoId,
+      cells: cloneCells(entry[cellsKey])
+    });
+
+    if (!res.accepted) {
+      return { accepted: false, reason: res.reason, info: { ...res.info, entry } };
+    }
+
+    from.pop();
+    to.push(entry);
+    return { accepted: true, entry, cells: cloneCells(entry[cellsKey]) };
+  }
+
+  return {
+    commit,
+
+    undo() {
+      return replay(undoStack, redoStack, "before", "nothing-to-undo");
+    },
+
+    redo() {
+      return replay(redoStack, undoStack, "after", "nothing-to-redo");
+    },
+
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+
+    // Read-only view for diagnostics
+    entries() {
+      return {
+        undo: undoStack.map(e => ({ ...e })),
+        redo: redoStack.map(e => ({ ...e }))
+      };
+    }
+  };
+}
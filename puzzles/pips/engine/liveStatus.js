@@ -0,0 +1,74 @@
+// ============================================================
+// FILE: engine/liveStatus.js
+// PURPOSE:
+//   Per-region status for live play: running value plus whether
+//   the rule is satisfied, impossible, or still open given the
+//   dominos left in the tray.
+// NOTES:
+//   - Pure engine logic: reads state, never mutates it.
+//   - Builds on evaluateAllRegions(); "undetermined" regions are
+//     refined with the solver's ruleReachable() bounds check
+//     against the tray's remaining halves.
+//   - The bounds check treats halves independently, so "open"
+//     means "not yet proven impossible", never "guaranteed".
+// ============================================================
+
+import { evaluateAllRegions, REGION_STATUS } from "./regionRules.js";
+import { ruleReachable } from "./solver.js";
+
+export const LIVE_STATUS = {
+  Satisfied: "satisfied",
+  Impossible: "impossible",
+  Open: "open"
+};
+
+// ------------------------------------------------------------
+// trayHalves(dominos)
+// halves[p] = number of tray domino halves showing p pips.
+// ------------------------------------------------------------
+function trayHalves(dominos) {
+  const halves = [];
+
+  for (const d of dominos.values()) {
+    for (const p of [d.pip0, d.pip1]) {
+      while (halves.length <= p) halves.push(0);
+      if (!Array.isArray(d.cells)) halves[p]++;
+    }
+  }
+
+  return halves;
+}
+
+// ------------------------------------------------------------
+// evaluateLiveRegions(state)
+// RETURNS:
+//   [{ id, status, currentValue, filled, size, rule }]
+//   status: LIVE_STATUS value
+// ------------------------------------------------------------
+export function evaluateLiveRegions(state) {
+  const results = evaluateAllRegions(state.grid, state.regionMap, state.regions);
+  const halves = trayHalves(state.dominos);
+
+  return results.map(r => {
+    let status;
+
+    if (r.status === REGION_STATUS.Satisfied) {
+      status = LIVE_STATUS.Satisfied;
+    } else if (r.status === REGION_STATUS.Violated) {
+      status = LIVE_STATUS.Impossible;
+    } else {
+      status = ruleReachable(r.rule, r.values, r.size - r.filled, halves)
+        ? LIVE_STATUS.Open
+        : LIVE_STATUS.Impossible;
+    }
+
+    return {
+      id: r.id,
+      status,
+      currentValue: r.currentValue,
+      filled: r.filled,
+      size: r.size,
+      rule: r.rule
+    };
+  });
+}
@@ -8,10 +8,11 @@
 //   - No DOM logic.
 //   - No structural rejection or defensive checks.
 //   - Builds regionMap and canonical Domino objects.
-//   - Assigns each domino a stable homeSlot based on puzzle order.
+//   - Assigns each domino a stable homeSlot in canonical tray
+//     order (low pip, then high pip) for the puzzle's domino set.
 // ============================================================
 
-import { createDomino } from "./domino.js";
+import { compareDominoIds, createDomino, resolveDominoSet } from "./domino.js";
 import { createGrid, setCell } from "./grid.js";
 import { buildRegionMap } from "./regionMapBuilder.js";
 
@@ -38,14 +39,20 @@ export function loadPuzzle(json) {
     blocked.add(`${cell.row},${cell.col}`);
   }
 
+  // Domino set ("double-six" unless the puzzle says otherwise)
+  const dominoSet = resolveDominoSet(json);
+  if (!dominoSet) {
+    throw new Error(`Puzzle definition has unknown dominoSet "${json.dominoSet}"`);
+  }
+
   // Load tray dominos with stable homeSlot assignment
-  const dominos = loadDominos(json.dominos || []);
+  const dominos = loadDominos(json.dominos || [], dominoSet.maxPip);
 
   // Apply starting placements (assumed valid)
-  applyStartingDominos(json.startingDominos || [], dominos, grid);
+  applyStartingDominos(json.startingDominos || [], dominos, grid, dominoSet.maxPip);
 
   // Build region map
-  const regionMap = buildRegionMap(boardRows, boardCols, json.regions || []);
+  const regionMap = buildRegionMap(boardCols, boardRows, json.regions || []);
   // Build mini puzzle map
   const miniPuzzles = deriveMiniPuzzles(boardRows, boardCols, blocked);
 
@@ -55,6 +62,7 @@ export function loadPuzzle(json) {
   return {
     boardRows,
     boardCols,
+    dominoSet,
     dominos,
     grid,
     regionMap,
@@ -68,16 +76,17 @@ export function loadPuzzle(json) {
 }
 
 // ------------------------------------------------------------
-// loadDominos(idList)
+// loadDominos(idList, maxPip)
 // Builds Domino objects and assigns stable homeSlot indices.
-// Assumes ids are valid and sorted.
+// Assumes ids are valid; slots follow canonical tray order
+// (string sorting would put "10-12" before "99").
 // ------------------------------------------------------------
-function loadDominos(idList) {
+function loadDominos(idList, maxPip) {
   const map = new Map();
   let index = 0;
 
-  for (const id of idList) {
-    const d = createDomino(id);
+  for (const id of [...idList].map(String).sort(compareDominoIds)) {
+    const d = createDomino(id, maxPip);
 
     d.homeSlot = index++;
     d.trayOrientation = 0;
@@ -90,11 +99,11 @@ function loadDominos(idList) {
 }
 
 // ------------------------------------------------------------
-// applyStartingDominos(startingList, dominos, grid)
+// applyStartingDominos(startingList, dominos, grid, maxPip)
 // Places fixed starting dominos onto the grid.
 // Assumes placements are valid and non-overlapping.
 // ------------------------------------------------------------
-function applyStartingDominos(startingList, dominos, grid) {
+function applyStartingDominos(startingList, dominos, grid, maxPip) {
   for (const entry of startingList) {
     const { domino: id, cells } = entry;
 
@@ -102,7 +111,7 @@ function applyStartingDominos(startingList, dominos, grid) {
     let d = dominos.get(key);
     if (!d) {
       // Starting domino not in tray — create it
-      d = createDomino(key);
+      d = createDomino(key, maxPip);
       d.homeSlot = -1;        // ensures it NEVER appears in the tray
       d.trayOrientation = 0;
       d.cells = null;
@@ -125,8 +134,9 @@ function applyStartingDominos(startingList, dominos, grid) {
 // ------------------------------------------------------------
 // deriveMiniPuzzles(boardRows, boardCols, blocked)
 // Computes maximal 4-connected components of non-blocked cells.
+// blocked: Set of "r,c" keys (the rater also passes filled cells).
 // ------------------------------------------------------------
-function deriveMiniPuzzles(boardRows, boardCols, blocked) {
+export function deriveMiniPuzzles(boardRows, boardCols, blocked) {
   const visited = new Set();
   const puzzles = [];
   let nextId = 0;
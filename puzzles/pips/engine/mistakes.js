@@ -0,0 +1,61 @@
+// ============================================================
+// FILE: engine/mistakes.js
+// PURPOSE:
+//   Decide whether the current partial board can still be
+//   completed, and which placed dominos are to blame if not.
+// NOTES:
+//   - Pure engine logic: reads state, never mutates it.
+//   - A domino is offending when no solution keeps it where it
+//     is (with only the starting dominos fixed alongside it).
+//   - When every domino is fine alone but the combination is
+//     not, the most recent placement is blamed.
+// ============================================================
+
+import { solvePuzzle } from "./solver.js";
+
+// Each question only needs one solution, so cap the count at 1
+function solvable(state, fixed, nodeLimit) {
+  const res = solvePuzzle(state, { maxSolutions: 0, countLimit: 1, nodeLimit, fixed });
+  return res.count > 0 ? true : res.aborted ? null : false;
+}
+
+// ------------------------------------------------------------
+// findMistakes(state, { lastDominoId, nodeLimit })
+// ------------------------------------------------------------
+
+/**
+ * findMistakes(state, options)
+ *
+ * RETURNS:
+ *   { extendable, offending: [dominoId...], reason }
+ *   extendable  true | false | null (solver gave up)
+ *   reason      null | "search-aborted" | "puzzle-unsolvable"
+ */
+export function findMistakes(state, { lastDominoId = null, nodeLimit } = {}) {
+  const current = solvable(state, "placed", nodeLimit);
+
+  if (current === true) return { extendable: true, offending: [], reason: null };
+  if (current === null) return { extendable: null, offending: [], reason: "search-aborted" };
+
+  // Nothing to blame if the puzzle itself has no solution
+  if (solvable(state, "starting", nodeLimit) === false) {
+    return { extendable: false, offending: [], reason: "puzzle-unsolvable" };
+  }
+
+  const starting = state.startingDominoIds || new Set();
+  const offending = [];
+
+  for (const d of state.dominos.values()) {
+    const id = String(d.id);
+    if (starting.has(id) || !Array.isArray(d.cells)) continue;
+
+    if (solvable(state, new Set([id]), nodeLimit) === false) offending.push(id);
+  }
+
+  if (offending.length === 0 && lastDominoId != null) {
+    const last = state.dominos.get(String(lastDominoId));
+    if (Array.isArray(last?.cells)) offending.push(String(lastDominoId));
+  }
+
+  return { extendable: false, offending, reason: null };
+}
@@ -0,0 +1,313 @@
+// ============================================================
+// FILE: engine/puzzleDraft.js
+// PURPOSE:
+//   Editable puzzle definition behind editor.html: blocked
+//   cells, painted regions, rule tokens, tray and starting
+//   dominos, exported as a puzzle file.
+// NOTES:
+//   - Pure engine logic: no DOM. The draft is a puzzle
+//     definition in file format (regions as cell lists), edited
+//     in place; validateStructure() / loadPuzzle() read it as is.
+//   - Edits keep the draft free of contradictions the editor
+//     can avoid by itself (blocking a cell clears its region and
+//     any starting domino on it; a starting domino leaves the
+//     tray). Everything else is left to validateStructure().
+//   - Any edit drops _solution; the editor re-solves on demand.
+// ============================================================
+
+import {
+  DEFAULT_DOMINO_SET,
+  DOMINO_SETS,
+  compareDominoIds,
+  isValidDominoId
+} from "./domino.js";
+import { areAdjacent } from "./grid.js";
+
+const sameCell = (a, b) => a.row === b.row && a.col === b.col;
+
+export function inBounds(draft, { row, col }) {
+  return row >= 0 && row < draft.height && col >= 0 && col < draft.width;
+}
+
+function maxPipOf(draft) {
+  return DOMINO_SETS[draft.dominoSet ?? DEFAULT_DOMINO_SET];
+}
+
+function invalidateSolution(draft) {
+  delete draft._solution;
+}
+
+// Remove a cell from whichever region holds it; empty regions go
+function removeFromRegions(draft, cell) {
+  for (const region of draft.regions) {
+    region.cells = region.cells.filter(c => !sameCell(c, cell));
+  }
+  draft.regions = draft.regions.filter(r => r.cells.length > 0);
+}
+
+// ------------------------------------------------------------
+// createDraft({ width, height, dominoSet })
+// Empty board: no blocked cells, regions or dominos.
+// ------------------------------------------------------------
+export function createDraft({ width = 6, height = 6, dominoSet = DEFAULT_DOMINO_SET } = {}) {
+  return {
+    id: "",
+    title: "",
+    width,
+    height,
+    dominoSet,
+    dominos: [],
+    startingDominos: [],
+    blocked: [],
+    regions: []
+  };
+}
+
+// ------------------------------------------------------------
+// draftFromPuzzle(puzzleDef)
+// Copy of an existing puzzle; rectangle regions become cell
+// lists so every region can be repainted.
+// ------------------------------------------------------------
+export function draftFromPuzzle(puzzleDef) {
+  const def = JSON.parse(JSON.stringify(puzzleDef));
+  const draft = { ...createDraft(def), ...def };
+
+  draft.dominos = (def.dominos || []).map(String);
+  draft.startingDominos = def.startingDominos || [];
+  draft.blocked = def.blocked || [];
+  draft.regions = (def.regions || []).map(region => {
+    if (Array.isArray(region.cells)) return region;
+
+    const { top, left, width, height, ...rest } = region;
+    const cells = [];
+    for (let row = top; row < top + height; row++) {
+      for (let col = left; col < left + width; col++) cells.push({ row, col });
+    }
+    return { ...rest, cells };
+  });
+
+  return draft;
+}
+
+// ------------------------------------------------------------
+// resizeDraft(draft, width, height)
+// Drops blocked cells, region cells and starting dominos that
+// fall off the new board.
+// ------------------------------------------------------------
+export function resizeDraft(draft, width, height) {
+  draft.width = width;
+  draft.height = height;
+
+  draft.blocked = draft.blocked.filter(c => inBounds(draft, c));
+  for (const region of draft.regions) {
+    region.cells = region.cells.filter(c => inBounds(draft, c));
+  }
+  draft.regions = draft.regions.filter(r => r.cells.length > 0);
+  draft.startingDominos = draft.startingDominos.filter(s => s.cells.every(c => inBounds(draft, c)));
+
+  invalidateSolution(draft);
+  return draft;
+}
+
+// ------------------------------------------------------------
+// Blocked cells
+// ------------------------------------------------------------
+export function isBlocked(draft, cell) {
+  return draft.blocked.some(c => sameCell(c, cell));
+}
+
+export function setBlocked(draft, cell, blocked) {
+  if (!inBounds(draft, cell) || isBlocked(draft, cell) === blocked) return draft;
+
+  if (blocked) {
+    draft.blocked.push({ row: cell.row, col: cell.col });
+    removeFromRegions(draft, cell);
+    draft.startingDominos = draft.startingDominos.filter(s => !s.cells.some(c => sameCell(c, cell)));
+  } else {
+    draft.blocked = draft.blocked.filter(c => !sameCell(c, cell));
+  }
+
+  invalidateSolution(draft);
+  return draft;
+}
+
+// ------------------------------------------------------------
+// Regions
+// ------------------------------------------------------------
+export function regionAt(draft, cell) {
+  return draft.regions.find(r => r.cells.some(c => sameCell(c, cell))) || null;
+}
+
+export function nextRegionId(draft) {
+  return draft.regions.reduce((max, r) => Math.max(max, r.id), -1) + 1;
+}
+
+// ------------------------------------------------------------
+// paintRegion(draft, cell, regionId)
+// Moves the cell into regionId, creating the region if it does
+// not exist yet. Blocked and off-board cells are ignored.
+// RETURNS: the region id painted (or null if ignored)
+// ------------------------------------------------------------
+export function paintRegion(draft, cell, regionId = nextRegionId(draft)) {
+  if (!inBounds(draft, cell) || isBlocked(draft, cell)) return null;
+  if (regionAt(draft, cell)?.id === regionId) return regionId;
+
+  removeFromRegions(draft, cell);
+
+  let region = draft.regions.find(r => r.id === regionId);
+  if (!region) {
+    region = { id: regionId, cells: [] };
+    draft.regions.push(region);
+    draft.regions.sort((a, b) => a.id - b.id);
+  }
+  region.cells.push({ row: cell.row, col: cell.col });
+
+  invalidateSolution(draft);
+  return regionId;
+}
+
+export function eraseRegion(draft, cell) {
+  if (!regionAt(draft, cell)) return draft;
+  removeFromRegions(draft, cell);
+  invalidateSolution(draft);
+  return draft;
+}
+
+// ------------------------------------------------------------
+// setRegionRule(draft, regionId, token)
+// Stores the token as typed ("=6", "<3", "≠"); an empty token
+// removes the rule. Syntax is checked by validateStructure().
+// ------------------------------------------------------------
+export function setRegionRule(draft, regionId, token) {
+  const region = draft.regions.find(r => r.id === regionId);
+  if (!region) return draft;
+
+  const text = String(token ?? "").trim();
+  if (text === "") delete region.rule;
+  else region.rule = text;
+
+  invalidateSolution(draft);
+  return draft;
+}
+
+// ------------------------------------------------------------
+// Dominos
+// ------------------------------------------------------------
+
+// Changing the set drops dominos the new set cannot hold
+export function setDominoSet(draft, name) {
+  if (!(name in DOMINO_SETS)) return draft;
+
+  draft.dominoSet = name;
+  const maxPip = maxPipOf(draft);
+  draft.dominos = draft.dominos.filter(id => isValidDominoId(id, maxPip));
+  draft.startingDominos = draft.startingDominos.filter(s => isValidDominoId(s.domino, maxPip));
+
+  invalidateSolution(draft);
+  return draft;
+}
+
+export function toggleTrayDomino(draft, id) {
+  if (!isValidDominoId(id, maxPipOf(draft))) return draft;
+
+  if (draft.dominos.includes(id)) {
+    draft.dominos = draft.dominos.filter(d => d !== id);
+  } else {
+    draft.dominos.push(id);
+    draft.dominos.sort(compareDominoIds);
+    removeStartingDomino(draft, id);
+  }
+
+  invalidateSolution(draft);
+  return draft;
+}
+
+export function startingDominoAt(draft, cell) {
+  return draft.startingDominos.find(s => s.cells.some(c => sameCell(c, cell))) || null;
+}
+
+export function removeStartingDomino(draft, id) {
+  const before = draft.startingDominos.length;
+  draft.startingDominos = draft.startingDominos.filter(s => s.domino !== id);
+  if (draft.startingDominos.length !== before) invalidateSolution(draft);
+  return draft;
+}
+
+// ------------------------------------------------------------
+// placeStartingDomino(draft, id, cells)
+// cells[0] shows the id's first pip. Moves the domino if it is
+// already placed and takes it out of the tray.
+// RETURNS: { ok, reason?, info? } with placement reason names
+// ------------------------------------------------------------
+export function placeStartingDomino(draft, id, cells) {
+  if (!isValidDominoId(id, maxPipOf(draft))) {
+    return { ok: false, reason: "unknown-domino", info: { dominoId: id } };
+  }
+
+  const [a, b] = cells;
+  if (sameCell(a, b)) return { ok: false, reason: "identical-cells", info: { cells } };
+  if (!areAdjacent(a.row, a.col, b.row, b.col)) return { ok: false, reason: "non-adjacent", info: { cells } };
+  if (!cells.every(c => inBounds(draft, c))) return { ok: false, reason: "out-of-bounds", info: { cells } };
+  if (cells.some(c => isBlocked(draft, c))) return { ok: false, reason: "blocked", info: { cells } };
+
+  const [conflictA, conflictB] = cells.map(c => {
+    const s = startingDominoAt(draft, c);
+    return Boolean(s && s.domino !== id);
+  });
+  if (conflictA || conflictB) return { ok: false, reason: "occupied", info: { cells, conflictA, conflictB } };
+
+  removeStartingDomino(draft, id);
+  draft.dominos = draft.dominos.filter(d => d !== id);
+  draft.startingDominos.push({
+    domino: id,
+    cells: cells.map(({ row, col }) => ({ row, col }))
+  });
+
+  invalidateSolution(draft);
+  return { ok: true };
+}
+
+// ------------------------------------------------------------
+// requiredTrayCount(draft)
+// Tray dominos needed to fill the board around the starting ones.
+// ------------------------------------------------------------
+export function requiredTrayCount(draft) {
+  const playable = draft.width * draft.height - draft.blocked.length;
+  return (playable - 2 * draft.startingDominos.length) / 2;
+}
+
+// ------------------------------------------------------------
+// exportPuzzle(draft)
+// Puzzle file object: cells in reading order, empty optional
+// fields and the default dominoSet left out.
+// ------------------------------------------------------------
+export function exportPuzzle(draft) {
+  const byPosition = (a, b) => a.row - b.row || a.col - b.col;
+  const out = {};
+
+  if (draft.id) out.id = draft.id;
+  if (draft.title) out.title = draft.title;
+  if (draft.difficulty) out.difficulty = draft.difficulty;
+
+  out.width = draft.width;
+  out.height = draft.height;
+  if ((draft.dominoSet ?? DEFAULT_DOMINO_SET) !== DEFAULT_DOMINO_SET) out.dominoSet = draft.dominoSet;
+
+  out.dominos = [...draft.dominos].sort(compareDominoIds);
+  if (draft.startingDominos.length) {
+    out.startingDominos = draft.startingDominos.map(s => ({
+      domino: s.domino,
+      cells: s.cells.map(({ row, col }) => ({ row, col }))
+    }));
+  }
+  out.blocked = [...draft.blocked].sort(byPosition).map(({ row, col }) => ({ row, col }));
+  out.regions = draft.regions.map(r => {
+    const region = { id: r.id, cells: [...r.cells].sort(byPosition).map(({ row, col }) => ({ row, col })) };
+    if (r.rule !== undefined) region.rule = r.rule;
+    return region;
+  });
+
+  if (draft._solution) out._solution = JSON.parse(JSON.stringify(draft._solution));
+
+  return out;
+}
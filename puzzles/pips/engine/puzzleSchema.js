@@ -0,0 +1,166 @@
+// ============================================================
+// FILE: engine/puzzleSchema.js
+// PURPOSE:
+//   Formal JSON Schema (draft 2020-12) for Pips puzzle files,
+//   including _solution.
+// NOTES:
+//   - Shape only: types, required keys, value ranges that need
+//     no board context. Board-dependent invariants (bounds,
+//     coverage, overlaps, rule syntax) stay in
+//     structuralValidator.js.
+//   - engine/schemaValidator.js interprets this object, so the
+//     published docs/puzzle.schema.json (written by
+//     node dev/buildSchema.js) is exactly what the engine checks.
+//   - Keys starting with "_" or "$" are free for tooling
+//     ("$schema", "_comment"); any other unknown key is an error.
+// ============================================================
+
+import { DOMINO_SETS } from "./domino.js";
+import { SUM_OPS } from "./ruleParser.js";
+
+export const PUZZLE_SCHEMA_ID = "https://pips.local/schema/puzzle.schema.json";
+
+export const PUZZLE_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: PUZZLE_SCHEMA_ID,
+  title: "Pips puzzle",
+  type: "object",
+  required: ["width", "height", "dominos"],
+  properties: {
+    id: { type: "string", description: "Unique puzzle id (catalog, saves, ?puzzle=)." },
+    title: { type: "string" },
+    difficulty: { type: "string" },
+    seed: { type: ["integer", "string"], description: "Generator seed (dev/generatePuzzle.js)." },
+    width: { type: "integer", minimum: 1, description: "Board columns." },
+    height: { type: "integer", minimum: 1, description: "Board rows." },
+    dominoSet: {
+      enum: Object.keys(DOMINO_SETS),
+      description: "Pip range of the set; double-six when omitted."
+    },
+    dominos: {
+      type: "array",
+      items: { $ref: "#/$defs/dominoId" },
+      description: "Tray dominos (starting dominos are not listed here)."
+    },
+    startingDominos: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["domino", "cells"],
+        properties: {
+          domino: { $ref: "#/$defs/dominoId" },
+          cells: { $ref: "#/$defs/cellPair" }
+        },
+        additionalProperties: false
+      }
+    },
+    blocked: {
+      type: "array",
+      items: { $ref: "#/$defs/cell" }
+    },
+    regions: {
+      type: "array",
+      items: { $ref: "#/$defs/region" }
+    },
+    _solution: {
+      type: "object",
+      required: ["placements"],
+      properties: {
+        placements: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["domino", "cells"],
+            properties: {
+              domino: { $ref: "#/$defs/dominoId" },
+              cells: { $ref: "#/$defs/cellPair" }
+            },
+            additionalProperties: false
+          }
+        }
+      }
+    }
+  },
+  patternProperties: {
+    "^[_$]": {}
+  },
+  additionalProperties: false,
+
+  $defs: {
+    dominoId: {
+      type: "string",
+      pattern: "^(\\d\\d|\\d{1,2}-\\d{1,2})$",
+      description: "Low pip first: \"05\", or hyphenated when a pip is 10+: \"3-11\"."
+    },
+    cell: {
+      type: "object",
+      required: ["row", "col"],
+      properties: {
+        row: { type: "integer" },
+        col: { type: "integer" }
+      },
+      additionalProperties: false
+    },
+    cellPair: {
+      type: "array",
+      items: { $ref: "#/$defs/cell" },
+      minItems: 2,
+      maxItems: 2,
+      description: "cells[0] holds the domino's first pip (half0)."
+    },
+    rule: {
+      anyOf: [
+        { type: "string", description: "Token: \"6\", \"=6\", \"<3\", \">=2\", \"!=4\", \"=\", \"≠\"." },
+        { type: "integer", minimum: 0 },
+        {
+          type: "object",
+          required: ["op", "value"],
+          properties: {
+            kind: { enum: ["sum"] },
+            op: { enum: SUM_OPS },
+            value: { type: "integer", minimum: 0 },
+            token: { type: "string" }
+          },
+          additionalProperties: false
+        },
+        {
+          type: "object",
+          required: ["kind"],
+          properties: {
+            kind: { enum: ["all-equal", "all-different"] },
+            token: { type: "string" }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    region: {
+      description: "Explicit cells, or a rectangle (read by the loader; structural validation needs cells).",
+      anyOf: [
+        {
+          type: "object",
+          required: ["id", "cells"],
+          properties: {
+            id: { type: "integer", minimum: 0 },
+            cells: { type: "array", items: { $ref: "#/$defs/cell" } },
+            rule: { $ref: "#/$defs/rule" }
+          },
+          additionalProperties: false
+        },
+        {
+          type: "object",
+          required: ["id", "top", "left", "width", "height"],
+          properties: {
+            id: { type: "integer", minimum: 0 },
+            top: { type: "integer", minimum: 0 },
+            left: { type: "integer", minimum: 0 },
+            width: { type: "integer", minimum: 1 },
+            height: { type: "integer", minimum: 1 },
+            rule: { $ref: "#/$defs/rule" }
+          },
+          additionalProperties: false
+        }
+      ]
+    }
+  }
+};
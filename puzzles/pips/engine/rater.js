@@ -0,0 +1,309 @@
+// ============================================================
+// FILE: engine/rater.js
+// PURPOSE:
+//   Rate a puzzle's difficulty by solving it the way a person
+//   would: one deduction at a time, always reaching for the
+//   easiest technique that places a domino.
+// NOTES:
+//   - Pure engine logic: works on its own loadPuzzle() state,
+//     never on the caller's.
+//   - Every technique is a proof built on candidatePlacements(),
+//     so each deduced placement is part of every solution.
+//   - When no technique applies, one domino is taken from a
+//     solution (choice or trial, below) and the deductions
+//     resume.
+//
+// TECHNIQUES (easiest first):
+//   forced-cell        a cell only one placement can cover
+//   region-bounds      same, once region sums/rules are bounded
+//                      against the halves still in hand
+//   domino-uniqueness  a tray domino that fits in only one place
+//   parity             either of the above, once placements that
+//                      leave an odd-sized group of empty cells
+//                      (deriveMiniPuzzles) are ruled out
+//   pairwise           either of the above, once placements that
+//                      would leave another cell or tray domino
+//                      with no option at all are ruled out
+//   trial              no deduction applies: one domino is taken
+//                      from the solution
+//   choice             the rest of the board has several
+//                      solutions, so one of them is picked (a
+//                      domino that differs between two of them);
+//                      not a difficulty, see the catalog's unique
+//
+// RATING:
+//   Level of the hardest technique used (choice, forced-cell and
+//   region-bounds: easy, domino-uniqueness and parity: medium,
+//   pairwise: hard, trial: expert), one level up for solves
+//   longer than LONG_SOLVE_STEPS. score sums TECHNIQUE_WEIGHT
+//   over the steps and orders puzzles within a level.
+// ============================================================
+
+import { loadPuzzle, deriveMiniPuzzles } from "./loader.js";
+import { commitPlacement } from "./placement.js";
+import {
+  buildModel,
+  candidateCells,
+  candidatePlacements,
+  modelCell,
+  solvePuzzle,
+  withCandidate
+} from "./solver.js";
+import { checkSolved } from "./winCheck.js";
+
+export const TECHNIQUE = {
+  Choice: "choice",
+  ForcedCell: "forced-cell",
+  RegionBounds: "region-bounds",
+  DominoUniqueness: "domino-uniqueness",
+  Parity: "parity",
+  Pairwise: "pairwise",
+  Trial: "trial"
+};
+
+export const RATING = ["easy", "medium", "hard", "expert"];
+
+const TECHNIQUE_LEVEL = {
+  [TECHNIQUE.Choice]: 0,
+  [TECHNIQUE.ForcedCell]: 0,
+  [TECHNIQUE.RegionBounds]: 0,
+  [TECHNIQUE.DominoUniqueness]: 1,
+  [TECHNIQUE.Parity]: 1,
+  [TECHNIQUE.Pairwise]: 2,
+  [TECHNIQUE.Trial]: 3
+};
+
+const TECHNIQUE_WEIGHT = {
+  [TECHNIQUE.Choice]: 1,
+  [TECHNIQUE.ForcedCell]: 1,
+  [TECHNIQUE.RegionBounds]: 2,
+  [TECHNIQUE.DominoUniqueness]: 3,
+  [TECHNIQUE.Parity]: 4,
+  [TECHNIQUE.Pairwise]: 6,
+  [TECHNIQUE.Trial]: 10
+};
+
+// Easiest first; "hardest" is the latest one used
+const TECHNIQUE_ORDER = Object.values(TECHNIQUE);
+
+const LONG_SOLVE_STEPS = 12;
+
+// Trials re-solve from the current board; the generator uses the
+// same budget for its uniqueness checks.
+const TRIAL_NODE_LIMIT = 200000;
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+// The one candidate (by filter) covering some empty cell
+function forcedByCell(model, cands, keep) {
+  for (let i = 0; i < model.pip.length; i++) {
+    if (!model.playable[i] || model.pip[i] >= 0) continue;
+
+    const surviving = cands.filter(c => (c.a === i || c.b === i) && keep(c));
+    if (surviving.length === 1) return surviving[0];
+  }
+  return null;
+}
+
+// The one spot (by filter) left for some tray domino
+function forcedByDomino(model, cands, keep) {
+  for (const d of model.hand) {
+    if (d.used) continue;
+
+    const spots = cands.filter(c => c.dominoId === d.id && keep(c));
+    if (spots.length === 1) return spots[0];
+  }
+  return null;
+}
+
+// Memoised per candidate (a filter is asked about each one
+// several times per step)
+function memo(keyOf, fn) {
+  const cache = new Map();
+  return (cand) => {
+    const key = keyOf(cand);
+    if (!cache.has(key)) cache.set(key, fn(cand));
+    return cache.get(key);
+  };
+}
+
+// ------------------------------------------------------------
+// Parity: covering a and b must not leave an empty group with
+// an odd number of cells (no set of dominos can fill it).
+// ------------------------------------------------------------
+function createParityCheck(model) {
+  const filled = new Set();
+  for (let i = 0; i < model.pip.length; i++) {
+    if (!model.playable[i] || model.pip[i] >= 0) {
+      const { row, col } = modelCell(model, i);
+      filled.add(`${row},${col}`);
+    }
+  }
+
+  return memo(c => `${c.a}:${c.b}`, (cand) => {
+    const blocked = new Set(filled);
+    for (const { row, col } of [modelCell(model, cand.a), modelCell(model, cand.b)]) {
+      blocked.add(`${row},${col}`);
+    }
+    const groups = deriveMiniPuzzles(model.rows, model.cols, blocked);
+    return groups.every(g => g.cells.length % 2 === 0);
+  });
+}
+
+// ------------------------------------------------------------
+// Pairwise: after the placement, every empty cell must still
+// have a placement and every tray domino a spot.
+// ------------------------------------------------------------
+function createPairwiseCheck(model) {
+  return memo(c => `${c.dominoId}:${c.a}:${c.b}:${c.pa}`, cand =>
+    withCandidate(model, cand, (m) => {
+      const ok = candidatePlacements(m).filter(c => c.ok);
+
+      for (let i = 0; i < m.pip.length; i++) {
+        if (m.playable[i] && m.pip[i] < 0 && !ok.some(c => c.a === i || c.b === i)) return false;
+      }
+      return m.hand.every(d => d.used || ok.some(c => c.dominoId === d.id));
+    })
+  );
+}
+
+// ------------------------------------------------------------
+// nextDeduction(state)
+// RETURNS: { technique, dominoId, cells } or null
+// ------------------------------------------------------------
+function nextDeduction(state) {
+  const model = buildModel(state, "placed");
+  const cands = candidatePlacements(model);
+  const step = (technique, cand) => ({
+    technique,
+    dominoId: cand.dominoId,
+    cells: candidateCells(model, cand)
+  });
+
+  // Geometry only: every other option fails for isolation
+  const noRegion = c => c.ok || c.failedRegion < 0;
+  for (let i = 0; i < model.pip.length; i++) {
+    if (!model.playable[i] || model.pip[i] >= 0) continue;
+
+    const covering = cands.filter(c => c.a === i || c.b === i);
+    const surviving = covering.filter(c => c.ok);
+    if (surviving.length === 1 && covering.every(noRegion)) {
+      return step(TECHNIQUE.ForcedCell, surviving[0]);
+    }
+  }
+
+  const ok = c => c.ok;
+
+  let cand = forcedByCell(model, cands, ok);
+  if (cand) return step(TECHNIQUE.RegionBounds, cand);
+
+  cand = forcedByDomino(model, cands, ok);
+  if (cand) return step(TECHNIQUE.DominoUniqueness, cand);
+
+  const evenSplit = createParityCheck(model);
+  const okEven = c => c.ok && evenSplit(c);
+
+  cand = forcedByCell(model, cands, okEven) || forcedByDomino(model, cands, okEven);
+  if (cand) return step(TECHNIQUE.Parity, cand);
+
+  const leavesOptions = createPairwiseCheck(model);
+  const okPair = c => okEven(c) && leavesOptions(c);
+
+  cand = forcedByCell(model, cands, okPair) || forcedByDomino(model, cands, okPair);
+  if (cand) return step(TECHNIQUE.Pairwise, cand);
+
+  return null;
+}
+
+// ------------------------------------------------------------
+// guessPlacement(state)
+// No deduction applies: a choice between solutions, or a trial
+// when only one solution is left. null if none is found.
+// ------------------------------------------------------------
+function guessPlacement(state) {
+  const res = solvePuzzle(state, { maxSolutions: 2, countLimit: 2, nodeLimit: TRIAL_NODE_LIMIT });
+  const [first, second] = res.solutions;
+  if (!first) return null;
+
+  const unplaced = first.filter(p => !Array.isArray(state.dominos.get(String(p.domino))?.cells));
+  const key = p => `${p.domino}:${JSON.stringify(p.cells)}`;
+
+  let technique = TECHNIQUE.Trial;
+  let placement = unplaced[0];
+
+  if (second) {
+    const other = new Set(second.map(key));
+    const differing = unplaced.find(p => !other.has(key(p)));
+    if (differing) {
+      technique = TECHNIQUE.Choice;
+      placement = differing;
+    }
+  }
+  if (!placement) return null;
+
+  return {
+    technique,
+    dominoId: String(placement.domino),
+    cells: placement.cells
+  };
+}
+
+// ------------------------------------------------------------
+// ratePuzzle(puzzleDef)
+// ------------------------------------------------------------
+
+/**
+ * ratePuzzle(puzzleDef)
+ * Solves a structurally valid puzzle with the techniques above
+ * and rates it.
+ *
+ * RETURNS:
+ *   {
+ *     rating,      // RATING value, or null if no solve was found
+ *     score,       // sum of technique weights over the steps
+ *     hardest,     // hardest TECHNIQUE used, or null with no steps
+ *     steps,       // placements made (tray dominos)
+ *     techniques,  // { [TECHNIQUE]: steps that used it }
+ *     solved       // false if the solver found no solution
+ *   }
+ */
+export function ratePuzzle(puzzleDef) {
+  const state = loadPuzzle(puzzleDef);
+  const techniques = {};
+  let score = 0;
+  let hardest = null;
+  let steps = 0;
+
+  while (!checkSolved(state).solved) {
+    const next = nextDeduction(state) || guessPlacement(state);
+    if (!next) {
+      return { rating: null, score, hardest, steps, techniques, solved: false };
+    }
+
+    const res = commitPlacement(state, { dominoId: next.dominoId, cells: next.cells });
+    if (!res.accepted) {
+      throw new Error(`ratePuzzle: ${next.technique} step rejected (${res.reason})`);
+    }
+
+    steps++;
+    score += TECHNIQUE_WEIGHT[next.technique];
+    techniques[next.technique] = (techniques[next.technique] || 0) + 1;
+    if (TECHNIQUE_ORDER.indexOf(next.technique) > TECHNIQUE_ORDER.indexOf(hardest)) {
+      hardest = next.technique;
+    }
+  }
+
+  let level = hardest ? TECHNIQUE_LEVEL[hardest] : 0;
+  if (steps > LONG_SOLVE_STEPS) level++;
+
+  return {
+    rating: RATING[Math.min(level, RATING.length - 1)],
+    score,
+    hardest,
+    steps,
+    techniques,
+    solved: true
+  };
+}
@@ -1,16 +1,28 @@
 // ============================================================
 // FILE: regionRules.js
-// PURPOSE: Evaluate region constraints using canonical rules
-//          of the form { op, value }.
+// PURPOSE: Evaluate region constraints using rule tokens parsed
+//          by ruleParser.js (or legacy { op, value } objects).
 // NOTES:
 //   - Pure engine logic: no DOM, no UI, no side effects.
 //   - Uses regionMap[row][col] to determine region membership.
-//   - Uses grid occupancy to sum pip values.
+//   - Uses grid occupancy to sum / compare pip values.
+//   - Sum rules compare the pip total; "=" and "≠" rules
+//     require all pips equal / all pips different.
 //   - getPipsFromId(dominoId) must return { pip0, pip1 }.
 //   - Medium diagnostics for impossible branches.
 // ============================================================
 
 import { getPipsFromId } from "./domino.js";
+import { parseRule } from "./ruleParser.js";
+
+// ------------------------------------------------------------
+// Region status values
+// ------------------------------------------------------------
+export const REGION_STATUS = {
+  Satisfied: "satisfied",
+  Violated: "violated",
+  Undetermined: "undetermined"
+};
 
 // ------------------------------------------------------------
 // evaluateAllRegions(grid, regionMap, regions)
@@ -18,27 +30,21 @@ import { getPipsFromId } from "./domino.js";
 
 /**
  * evaluateAllRegions(grid, regionMap, regions)
- * Computes the current pip-sum and satisfaction state for each region.
+ * Computes the current value and rule status for each region.
  *
  * EXPECTS:
  *   - grid: 2D occupancy array where each cell is:
  *       null OR { dominoId, half }
  *   - regionMap: 2D array of region IDs (numbers or null)
  *   - regions: array of region definitions:
- *       { id, rule: { op, value }, cells: [...] }
+ *       { id, rule: "=6" | "=" | "≠" | { op, value }, cells: [...] }
  *
  * RETURNS:
- *   Array of:
- *     {
- *       id,
- *       currentValue,
- *       satisfied,
- *       rule: { op, value }
- *     }
+ *   Array of evaluateRegion() results (see below).
  *
  * BEHAVIOR:
- *   - Computes pip sum via computeRegionSum().
- *   - Applies rule via applyRule().
+ *   - Parses the rule token via parseRule().
+ *   - Delegates to evaluateRegion().
  *   - Never mutates grid or regions.
  */
 export function evaluateAllRegions(grid, regionMap, regions) {
@@ -55,88 +61,208 @@ export function evaluateAllRegions(grid, regionMap, regions) {
       continue;
     }
 
-    if (!region.rule || typeof region.rule.op !== "string" || typeof region.rule.value !== "number") {
-      console.error("evaluateAllRegions: region has invalid rule", region);
+    const parsed = parseRule(region.rule);
+    if (!parsed.ok) {
+      console.error("evaluateAllRegions: region has invalid rule", {
+        region,
+        reason: parsed.reason,
+        info: parsed.info
+      });
       continue;
     }
 
-    const sum = computeRegionSum(grid, regionMap, region.id);
-    const satisfied = applyRule(sum, region.rule);
-
-    results.push({
-      id: region.id,
-      currentValue: sum,
-      satisfied,
-      rule: region.rule
-    });
+    results.push(evaluateRegion(grid, regionMap, region.id, parsed.rule));
   }
 
   return results;
 }
 
 // ------------------------------------------------------------
-// computeRegionSum(grid, regionMap, regionId)
+// evaluateRegion(grid, regionMap, regionId, rule)
 // ------------------------------------------------------------
 
 /**
- * computeRegionSum(grid, regionMap, regionId)
- * Computes the sum of pip values for all cells belonging to regionId.
+ * evaluateRegion(grid, regionMap, regionId, rule)
+ * Evaluates one region against a parsed rule AST.
  *
- * EXPECTS:
- *   - grid: 2D occupancy array
- *   - regionMap: 2D array of region IDs
- *   - regionId: number
+ * RETURNS:
+ *   {
+ *     id,
+ *     currentValue,   // pip sum of placed halves
+ *     values,         // placed pip values, scan order
+ *     size,           // region cell count
+ *     filled,         // occupied region cells
+ *     status,         // "satisfied" | "violated" | "undetermined"
+ *     satisfied,      // status === "satisfied"
+ *     rule
+ *   }
+ *
+ * BEHAVIOR:
+ *   - A complete region is either satisfied or violated.
+ *   - An incomplete region is violated only when no further
+ *     placement can rescue it (pips are never negative), and
+ *     satisfied only when no further placement can break it.
+ */
+export function evaluateRegion(grid, regionMap, regionId, rule) {
+  const { values, size } = collectRegionPips(grid, regionMap, regionId);
+  const currentValue = values.reduce((a, b) => a + b, 0);
+  const complete = values.length === size;
+
+  let status;
+
+  switch (rule.kind) {
+    case "sum":
+      status = sumStatus(currentValue, rule, complete);
+      break;
+    case "all-equal":
+      status = allEqualStatus(values, complete);
+      break;
+    case "all-different":
+      status = allDifferentStatus(values, complete);
+      break;
+    default:
+      console.error("evaluateRegion: unknown rule kind", { regionId, rule });
+      status = REGION_STATUS.Violated;
+  }
+
+  return {
+    id: regionId,
+    currentValue,
+    values,
+    size,
+    filled: values.length,
+    status,
+    satisfied: status === REGION_STATUS.Satisfied,
+    rule
+  };
+}
+
+// ------------------------------------------------------------
+// Status helpers (pure)
+// ------------------------------------------------------------
+function sumStatus(sum, rule, complete) {
+  if (complete) {
+    return applyRule(sum, rule) ? REGION_STATUS.Satisfied : REGION_STATUS.Violated;
+  }
+
+  // Partial sums only grow as more halves are placed.
+  switch (rule.op) {
+    case "=":
+    case "<=":
+      return sum > rule.value ? REGION_STATUS.Violated : REGION_STATUS.Undetermined;
+    case "<":
+      return sum >= rule.value ? REGION_STATUS.Violated : REGION_STATUS.Undetermined;
+    case ">":
+      return sum > rule.value ? REGION_STATUS.Satisfied : REGION_STATUS.Undetermined;
+    case ">=":
+      return sum >= rule.value ? REGION_STATUS.Satisfied : REGION_STATUS.Undetermined;
+    default:
+      return REGION_STATUS.Undetermined;
+  }
+}
+
+function allEqualStatus(values, complete) {
+  if (values.some(v => v !== values[0])) return REGION_STATUS.Violated;
+  return complete ? REGION_STATUS.Satisfied : REGION_STATUS.Undetermined;
+}
+
+function allDifferentStatus(values, complete) {
+  if (new Set(values).size !== values.length) return REGION_STATUS.Violated;
+  return complete ? REGION_STATUS.Satisfied : REGION_STATUS.Undetermined;
+}
+
+// ------------------------------------------------------------
+// collectRegionPips(grid, regionMap, regionId)
+// ------------------------------------------------------------
+
+/**
+ * collectRegionPips(grid, regionMap, regionId)
+ * Gathers the pip values currently placed in a region.
  *
  * RETURNS:
- *   - integer sum of pip values
+ *   { values: [pip, ...], size }
  *
  * BEHAVIOR:
- *   - For each cell in regionId:
- *       - If occupied, fetch pip0/pip1 via getPipsFromId(dominoId)
- *       - Add pip0 if half==0, pip1 if half==1
+ *   - size counts every regionMap cell tagged regionId.
+ *   - values lists the pips of occupied cells in scan order:
+ *       pip0 if half==0, pip1 if half==1.
  *   - Logs diagnostics for impossible states (invalid half, missing pips).
  */
-export function computeRegionSum(grid, regionMap, regionId) {
+export function collectRegionPips(grid, regionMap, regionId) {
+  const values = [];
+  let size = 0;
+
   if (!Array.isArray(grid) || !Array.isArray(regionMap)) {
-    console.error("computeRegionSum: invalid grid or regionMap", { grid, regionMap });
-    return 0;
+    console.error("collectRegionPips: invalid grid or regionMap", { grid, regionMap });
+    return { values, size };
   }
 
-  let total = 0;
-
   for (let r = 0; r < grid.length; r++) {
     if (!Array.isArray(regionMap[r])) {
-      console.error("computeRegionSum: regionMap row missing", { row: r, regionMap });
+      console.error("collectRegionPips: regionMap row missing", { row: r, regionMap });
       continue;
     }
 
     for (let c = 0; c < grid[0].length; c++) {
       if (regionMap[r][c] !== regionId) continue;
+      size++;
+
+      const pip = cellPip(grid[r][c], r, c);
+      if (pip !== null) values.push(pip);
+    }
+  }
 
-      const cell = grid[r][c];
-      if (!cell) continue;
+  return { values, size };
+}
 
-      const { dominoId, half } = cell;
+// ------------------------------------------------------------
+// cellPip(cell, r, c)
+// Pip value shown by an occupied grid cell, or null.
+// ------------------------------------------------------------
+function cellPip(cell, r, c) {
+  if (!cell) return null;
 
-      if (half !== 0 && half !== 1) {
-        console.error("computeRegionSum: invalid half value", { r, c, cell });
-        continue;
-      }
+  const { dominoId, half } = cell;
 
-      const pips = getPipsFromId(dominoId);
-      if (!pips || typeof pips.pip0 !== "number" || typeof pips.pip1 !== "number") {
-        console.error("computeRegionSum: getPipsFromId returned invalid pips", {
-          dominoId,
-          pips
-        });
-        continue;
-      }
+  if (half !== 0 && half !== 1) {
+    console.error("cellPip: invalid half value", { r, c, cell });
+    return null;
+  }
 
-      total += half === 0 ? pips.pip0 : pips.pip1;
-    }
+  const pips = getPipsFromId(dominoId);
+  if (!pips || !Number.isFinite(pips.pip0) || !Number.isFinite(pips.pip1)) {
+    console.error("cellPip: getPipsFromId returned invalid pips", {
+      dominoId,
+      pips
+    });
+    return null;
   }
 
-  return total;
+  return half === 0 ? pips.pip0 : pips.pip1;
+}
+
+// ------------------------------------------------------------
+// computeRegionSum(grid, regionMap, regionId)
+// ------------------------------------------------------------
+
+/**
+ * computeRegionSum(grid, regionMap, regionId)
+ * Computes the sum of pip values for all cells belonging to regionId.
+ *
+ * EXPECTS:
+ *   - grid: 2D occupancy array
+ *   - regionMap: 2D array of region IDs
+ *   - regionId: number
+ *
+ * RETURNS:
+ *   - integer sum of pip values
+ *
+ * BEHAVIOR:
+ *   - Sums the pip values gathered by collectRegionPips().
+ */
+export function computeRegionSum(grid, regionMap, regionId) {
+  const { values } = collectRegionPips(grid, regionMap, regionId);
+  return values.reduce((a, b) => a + b, 0);
 }
 
 // ------------------------------------------------------------
@@ -149,7 +275,7 @@ export function computeRegionSum(grid, regionMap, regionId) {
  *
  * EXPECTS:
  *   - sum: integer
- *   - rule: { op, value }
+ *   - rule: sum rule AST, { op, value }, or a token such as "<3"
  *
  * SUPPORTED OPS:
  *   =, <, >, <=, >=, !=
@@ -161,12 +287,13 @@ export function computeRegionSum(grid, regionMap, regionId) {
  *   - Logs if operator is unknown.
  */
 export function applyRule(sum, rule) {
-  if (!rule || typeof rule.op !== "string" || typeof rule.value !== "number") {
-    console.error("applyRule: invalid rule object", rule);
+  const parsed = parseRule(rule);
+  if (!parsed.ok || parsed.rule.kind !== "sum") {
+    console.error("applyRule: invalid sum rule", { rule, reason: parsed.reason, info: parsed.info });
     return false;
   }
 
-  const { op, value } = rule;
+  const { op, value } = parsed.rule;
 
   switch (op) {
     case "=":
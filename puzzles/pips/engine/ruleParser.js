@@ -0,0 +1,214 @@
+// ============================================================
+// FILE: ruleParser.js
+// PURPOSE: Parse region rule tokens into a typed rule AST.
+// NOTES:
+//   - Pure engine logic: no DOM, no UI, no side effects.
+//   - Puzzle files express rules as strings ("=6", "<3", ">7",
+//     "6", "=", "≠"); legacy { op, value } objects are accepted.
+//   - Failures carry the character position that broke the
+//     parse so validators and editors can point at it.
+//
+// GRAMMAR:
+//   rule   := ws ( number | op ws number | "=" | unequal ) ws
+//   op     := "=" | "<" | ">" | "<=" | ">=" | "!=" | "≤" | "≥" | "≠"
+//   unequal:= "≠" | "!="
+//   number := digit+
+//
+// RULE AST:
+//   { kind: "sum", op, value, token }   pip sum compared to value
+//   { kind: "all-equal", token }         bare "="
+//   { kind: "all-different", token }     bare "≠" / "!="
+// ============================================================
+
+// Operator spellings → canonical op (longest spellings first)
+const OPERATORS = [
+  ["<=", "<="],
+  [">=", ">="],
+  ["!=", "!="],
+  ["≤", "<="],
+  ["≥", ">="],
+  ["≠", "!="],
+  ["=", "="],
+  ["<", "<"],
+  [">", ">"]
+];
+
+export const SUM_OPS = ["=", "<", ">", "<=", ">=", "!="];
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function isDigit(ch) {
+  return ch >= "0" && ch <= "9";
+}
+
+function isSpace(ch) {
+  return ch === " " || ch === "\t";
+}
+
+function fail(reason, token, position, message) {
+  return { ok: false, reason, info: { token, position, message } };
+}
+
+function skipSpaces(token, i) {
+  while (i < token.length && isSpace(token[i])) i++;
+  return i;
+}
+
+// ------------------------------------------------------------
+// parseRule(input)
+// ------------------------------------------------------------
+
+/**
+ * parseRule(input)
+ * Converts a region rule token (or legacy rule object) into a rule AST.
+ *
+ * EXPECTS:
+ *   - input: string token, { op, value } object, or an existing AST
+ *
+ * RETURNS:
+ *   { ok: true, rule }
+ *   { ok: false, reason, info: { token, position, message } }
+ *
+ * REASONS:
+ *   invalid-rule-type, empty-rule, unknown-operator,
+ *   expected-number, unexpected-character, invalid-rule-object
+ */
+export function parseRule(input) {
+  if (input && typeof input === "object") {
+    return parseRuleObject(input);
+  }
+
+  if (typeof input === "number" && Number.isInteger(input) && input >= 0) {
+    return parseRule(String(input));
+  }
+
+  if (typeof input !== "string") {
+    return fail("invalid-rule-type", input, 0, "Rule must be a string token.");
+  }
+
+  const token = input;
+  let i = skipSpaces(token, 0);
+
+  if (i >= token.length) {
+    return fail("empty-rule", token, i, "Rule token is empty.");
+  }
+
+  // ----------------------------------------------------------
+  // Operator (optional)
+  // ----------------------------------------------------------
+  let op = null;
+  let opText = "";
+
+  for (const [spelling, canonical] of OPERATORS) {
+    if (token.startsWith(spelling, i)) {
+      op = canonical;
+      opText = spelling;
+      break;
+    }
+  }
+
+  if (op === null && !isDigit(token[i])) {
+    return fail(
+      "unknown-operator",
+      token,
+      i,
+      `Unexpected "${token[i]}"; expected an operator or a number.`
+    );
+  }
+
+  if (op !== null) i = skipSpaces(token, i + opText.length);
+
+  // ----------------------------------------------------------
+  // Bare operators: "=" (all equal), "≠" / "!=" (all different)
+  // ----------------------------------------------------------
+  if (i >= token.length) {
+    if (op === "=") return { ok: true, rule: { kind: "all-equal", token } };
+    if (op === "!=") return { ok: true, rule: { kind: "all-different", token } };
+
+    return fail(
+      "expected-number",
+      token,
+      i,
+      `Operator "${opText}" must be followed by a number.`
+    );
+  }
+
+  // ----------------------------------------------------------
+  // Number
+  // ----------------------------------------------------------
+  if (!isDigit(token[i])) {
+    return fail(
+      "expected-number",
+      token,
+      i,
+      `Unexpected "${token[i]}"; expected a number.`
+    );
+  }
+
+  const start = i;
+  while (i < token.length && isDigit(token[i])) i++;
+  const value = Number(token.slice(start, i));
+
+  i = skipSpaces(token, i);
+
+  if (i < token.length) {
+    return fail(
+      "unexpected-character",
+      token,
+      i,
+      `Unexpected "${token[i]}" after rule value.`
+    );
+  }
+
+  return { ok: true, rule: { kind: "sum", op: op ?? "=", value, token } };
+}
+
+// ------------------------------------------------------------
+// parseRuleObject(obj)
+// Accepts legacy { op, value } objects and existing ASTs.
+// ------------------------------------------------------------
+function parseRuleObject(obj) {
+  if (obj.kind === "all-equal" || obj.kind === "all-different") {
+    return { ok: true, rule: { kind: obj.kind, token: obj.token ?? null } };
+  }
+
+  if (
+    (obj.kind === undefined || obj.kind === "sum") &&
+    SUM_OPS.includes(obj.op) &&
+    Number.isInteger(obj.value) &&
+    obj.value >= 0
+  ) {
+    return {
+      ok: true,
+      rule: { kind: "sum", op: obj.op, value: obj.value, token: obj.token ?? null }
+    };
+  }
+
+  return fail("invalid-rule-object", obj, 0, "Rule object must be { op, value }.");
+}
+
+// ------------------------------------------------------------
+// formatRule(rule)
+// ------------------------------------------------------------
+
+/**
+ * formatRule(rule)
+ * Inverse of parseRule(): produces the canonical token for a rule AST.
+ *
+ * RETURNS:
+ *   "6" for sum "=", "<3" / ">7" / "<=4" / ">=4" / "!=5" otherwise,
+ *   "=" for all-equal, "≠" for all-different.
+ */
+export function formatRule(rule) {
+  switch (rule?.kind) {
+    case "all-equal":
+      return "=";
+    case "all-different":
+      return "≠";
+    case "sum":
+      return rule.op === "=" ? String(rule.value) : `${rule.op}${rule.value}`;
+    default:
+      throw new Error(`formatRule: unknown rule ${JSON.stringify(rule)}`);
+  }
+}
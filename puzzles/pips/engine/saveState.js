@@ -0,0 +1,104 @@
+// ============================================================
+// FILE: engine/saveState.js
+// PURPOSE:
+//   Serialize in-progress engine state and restore it through
+//   the single commit boundary.
+// NOTES:
+//   - Pure engine logic: no DOM, no storage access.
+//   - Only player-movable dominos are saved; starting dominos
+//     come from the puzzle definition itself.
+//   - Restore never writes grid cells directly: each saved
+//     placement is replayed through commitPlacement(), so the
+//     grid and domino cells stay in sync (syncCheck clean).
+//
+// SNAPSHOT SHAPE (version 1):
+//   {
+//     version: 1,
+//     puzzleId,
+//     savedAt,        // ms since epoch
+//     elapsedMs,
+//     moves,          // accepted commits so far (optional, 0)
+//     dominos: [ { id, cells: [{row,col},{row,col}] | null, trayOrientation } ]
+//   }
+// ============================================================
+
+import { commitPlacement, resolveDomino } from "./placement.js";
+
+export const SAVE_VERSION = 1;
+
+// ------------------------------------------------------------
+// serializeState(state, { puzzleId, elapsedMs, moves, savedAt })
+// ------------------------------------------------------------
+export function serializeState(state, { puzzleId, elapsedMs = 0, moves = 0, savedAt = Date.now() } = {}) {
+  const starting = state.startingDominoIds || new Set();
+  const dominos = [];
+
+  for (const d of state.dominos.values()) {
+    const id = String(d.id);
+    if (starting.has(id)) continue;
+
+    dominos.push({
+      id,
+      cells: Array.isArray(d.cells)
+        ? d.cells.map(({ row, col }) => ({ row, col }))
+        : null,
+      trayOrientation: d.trayOrientation || 0
+    });
+  }
+
+  return {
+    version: SAVE_VERSION,
+    puzzleId,
+    savedAt,
+    elapsedMs,
+    moves,
+    dominos
+  };
+}
+
+// ------------------------------------------------------------
+// countPlaced(snapshot)
+// Number of saved dominos that sit on the board.
+// ------------------------------------------------------------
+export function countPlaced(snapshot) {
+  return (snapshot?.dominos || []).filter(d => Array.isArray(d.cells)).length;
+}
+
+// ------------------------------------------------------------
+// restoreState(state, snapshot)
+// Replays a snapshot onto freshly loaded engine state.
+// RETURNS:
+//   { ok, restored, rejected: [{ id, reason }] }
+//   ok is false only for an unusable snapshot; individual
+//   placements the engine refuses are listed in rejected.
+// ------------------------------------------------------------
+export function restoreState(state, snapshot) {
+  if (!snapshot || snapshot.version !== SAVE_VERSION || !Array.isArray(snapshot.dominos)) {
+    return { ok: false, restored: 0, rejected: [], reason: "unsupported-snapshot" };
+  }
+
+  let restored = 0;
+  const rejected = [];
+
+  for (const entry of snapshot.dominos) {
+    const d = resolveDomino(state, entry.id);
+    if (!d) {
+      rejected.push({ id: entry.id, reason: "unknown-domino" });
+      continue;
+    }
+
+    // Tray-only metadata: not placement, no commit needed
+    d.trayOrientation = Number(entry.trayOrientation) || 0;
+
+    if (!Array.isArray(entry.cells)) continue;
+
+    const res = commitPlacement(state, { dominoId: entry.id, cells: entry.cells });
+    if (res.accepted) {
+      restored++;
+    } else {
+      rejected.push({ id: entry.id, reason: res.reason });
+    }
+  }
+
+  return { ok: true, restored, rejected };
+}
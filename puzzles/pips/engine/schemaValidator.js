@@ -0,0 +1,198 @@
+// ============================================================
+// FILE: engine/schemaValidator.js
+// PURPOSE:
+//   Shape validation of puzzle files against PUZZLE_SCHEMA,
+//   run by validateStructure() before any structural invariant,
+//   so malformed files fail with a clear error instead of
+//   throwing inside loadPuzzle().
+// NOTES:
+//   - Pure, no DOM, no schema library: interprets the subset of JSON
+//     Schema that puzzleSchema.js uses (type, enum, required,
+//     properties, patternProperties, additionalProperties, items,
+//     minItems/maxItems, minimum, pattern, anyOf, $ref to $defs).
+//   - Errors use the structural shape { code, message, path };
+//     path is a JSON pointer into the puzzle file ("" = root).
+//
+// CODES:
+//   SCHEMA_TYPE, SCHEMA_REQUIRED, SCHEMA_UNKNOWN_PROPERTY,
+//   SCHEMA_ENUM, SCHEMA_PATTERN, SCHEMA_MINIMUM, SCHEMA_ITEM_COUNT
+// ============================================================
+
+import { PUZZLE_SCHEMA } from "./puzzleSchema.js";
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describe(value) {
+  const json = JSON.stringify(value);
+  return json && json.length <= 40 ? json : typeOf(value);
+}
+
+function resolveRef(root, ref) {
+  const name = ref.replace(/^#\/\$defs\//, "");
+  const target = root.$defs?.[name];
+  if (!target) throw new Error(`schemaValidator: unresolved $ref ${ref}`);
+  return target;
+}
+
+// ------------------------------------------------------------
+// check(value, schema, path, root) → errors
+// ------------------------------------------------------------
+function check(value, schema, path, root) {
+  if (schema.$ref) return check(value, resolveRef(root, schema.$ref), path, root);
+  if (schema.anyOf) return checkAnyOf(value, schema.anyOf, path, root);
+
+  const errors = [];
+  const at = path || "/";
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      return [{
+        code: "SCHEMA_TYPE",
+        message: `${at} must be ${types.join(" or ")}, got ${describe(value)}.`,
+        path
+      }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      code: "SCHEMA_ENUM",
+      message: `${at} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}, got ${describe(value)}.`,
+      path
+    });
+  }
+
+  if (typeof value === "number" && typeof schema.minimum === "number" && value < schema.minimum) {
+    errors.push({
+      code: "SCHEMA_MINIMUM",
+      message: `${at} must be at least ${schema.minimum}, got ${value}.`,
+      path
+    });
+  }
+
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+    errors.push({
+      code: "SCHEMA_PATTERN",
+      message: `${at} ${JSON.stringify(value)} does not match ${schema.pattern}.`,
+      path
+    });
+  }
+
+  if (Array.isArray(value)) {
+    errors.push(...checkArray(value, schema, path, root));
+  } else if (typeOf(value) === "object") {
+    errors.push(...checkObject(value, schema, path, root));
+  }
+
+  return errors;
+}
+
+function checkArray(value, schema, path, root) {
+  const errors = [];
+  const at = path || "/";
+
+  const tooFew = typeof schema.minItems === "number" && value.length < schema.minItems;
+  const tooMany = typeof schema.maxItems === "number" && value.length > schema.maxItems;
+  if (tooFew || tooMany) {
+    const expected = schema.minItems === schema.maxItems
+      ? `exactly ${schema.minItems}`
+      : tooFew ? `at least ${schema.minItems}` : `at most ${schema.maxItems}`;
+    errors.push({
+      code: "SCHEMA_ITEM_COUNT",
+      message: `${at} must have ${expected} item(s), got ${value.length}.`,
+      path
+    });
+  }
+
+  if (schema.items) {
+    value.forEach((item, i) => errors.push(...check(item, schema.items, pointer(path, i), root)));
+  }
+
+  return errors;
+}
+
+function checkObject(value, schema, path, root) {
+  const errors = [];
+  const at = path || "/";
+  const properties = schema.properties || {};
+  const patterns = Object.keys(schema.patternProperties || {}).map(p => new RegExp(p, "u"));
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) {
+      errors.push({
+        code: "SCHEMA_REQUIRED",
+        message: `${at} is missing required property "${key}".`,
+        path: pointer(path, key)
+      });
+    }
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (properties[key]) {
+      errors.push(...check(child, properties[key], pointer(path, key), root));
+    } else if (schema.additionalProperties === false && !patterns.some(re => re.test(key))) {
+      errors.push({
+        code: "SCHEMA_UNKNOWN_PROPERTY",
+        message: `${at} has unknown property "${key}".`,
+        path: pointer(path, key)
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ------------------------------------------------------------
+// checkAnyOf
+// Passes if any branch passes. Otherwise report the closest
+// branch whose type matched (fewest errors); if none matched,
+// report a single type error naming every accepted type.
+// ------------------------------------------------------------
+function checkAnyOf(value, branches, path, root) {
+  const results = branches.map(b => check(value, b, path, root));
+  if (results.some(errs => errs.length === 0)) return [];
+
+  const typeMatched = results.filter(errs =>
+    !(errs.length === 1 && errs[0].code === "SCHEMA_TYPE" && errs[0].path === path)
+  );
+
+  if (typeMatched.length === 0) {
+    const types = [...new Set(branches.flatMap(b => {
+      const s = b.$ref ? resolveRef(root, b.$ref) : b;
+      return [].concat(s.type || []);
+    }))];
+    return [{
+      code: "SCHEMA_TYPE",
+      message: `${path || "/"} must be ${types.join(" or ")}, got ${describe(value)}.`,
+      path
+    }];
+  }
+
+  return typeMatched.reduce((best, errs) => (errs.length < best.length ? errs : best));
+}
+
+// ------------------------------------------------------------
+// validateSchema(puzzleDef, schema)
+// RETURNS: array of { code, message, path } (empty when valid)
+// ------------------------------------------------------------
+export function validateSchema(puzzleDef, schema = PUZZLE_SCHEMA) {
+  return check(puzzleDef, schema, "", schema);
+}
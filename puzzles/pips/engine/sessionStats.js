@@ -0,0 +1,87 @@
+// ============================================================
+// FILE: engine/sessionStats.js
+// PURPOSE:
+//   Counters for one play session, fed from pips:* event names,
+//   and the personal-best comparison used on a solve.
+// NOTES:
+//   - Pure engine logic: no DOM, no storage. ui/statsPanel.js
+//     listens for the events; ui/saveStore.js keeps the bests.
+//   - moves continues from the saved game (engine/saveState.js);
+//     the other counts start at zero on every page load. Elapsed
+//     time is the play clock's (engine/clock.js), which survives
+//     resume too.
+//   - A commit event with detail.moved === false (a domino
+//     dropped back on its own cells) is not counted at all, the
+//     same rule the placement validator uses for its move count.
+//
+// COUNTERS:
+//   moves       every counted commit below (the count
+//               pips:solved reports and personal bests keep)
+//   commits     accepted board drops and returns to tray
+//   rotations   accepted rotations on the board
+//   undos       accepted undos
+//   redos       accepted redos
+//   rejections  rejected drops, returns and rotations
+// ============================================================
+
+export const STAT_EVENTS = {
+  "pips:drop:commit:board": "commits",
+  "pips:return-to-tray:commit": "commits",
+  "pips:rotate:commit": "rotations",
+  "pips:undo:commit": "undos",
+  "pips:redo:commit": "redos",
+  "pips:drop:reject:board": "rejections",
+  "pips:return-to-tray:reject": "rejections",
+  "pips:rotate:reject": "rejections",
+  "pips:board-rotate-reject": "rejections"
+};
+
+// ------------------------------------------------------------
+// createSessionStats({ moves })
+// moves: count to continue from (a resumed game)
+// ------------------------------------------------------------
+export function createSessionStats({ moves = 0 } = {}) {
+  const counts = { moves, commits: 0, rotations: 0, undos: 0, redos: 0, rejections: 0 };
+
+  return {
+    // record(eventName, detail): true if the event is counted
+    record(eventName, detail = null) {
+      const key = STAT_EVENTS[eventName];
+      if (!key || detail?.moved === false) return false;
+      counts[key]++;
+      if (key !== "rejections") counts.moves++;
+      return true;
+    },
+
+    counts() {
+      return { ...counts };
+    }
+  };
+}
+
+// ------------------------------------------------------------
+// updatePersonalBest(previous, result)
+// ------------------------------------------------------------
+
+/**
+ * updatePersonalBest(previous, { elapsedMs, moves, solvedAt })
+ * Faster time wins; equal times go to fewer moves.
+ *
+ * RETURNS:
+ *   { best, improved }
+ *   best      { elapsedMs, moves, solvedAt } to keep
+ *   improved  true if result replaced previous (or none existed)
+ */
+export function updatePersonalBest(previous, { elapsedMs, moves, solvedAt = Date.now() }) {
+  const result = { elapsedMs, moves, solvedAt };
+
+  if (!previous || !Number.isFinite(previous.elapsedMs)) {
+    return { best: result, improved: true };
+  }
+
+  const improved =
+    elapsedMs < previous.elapsedMs ||
+    (elapsedMs === previous.elapsedMs && moves < previous.moves);
+
+  return { best: improved ? result : previous, improved };
+}
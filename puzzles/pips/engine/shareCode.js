@@ -0,0 +1,333 @@
+// ============================================================
+// FILE: engine/shareCode.js
+// PURPOSE:
+//   Pack a puzzle definition, and optionally the player's
+//   placements, into a short URL-safe string (index.html?code=)
+//   and unpack it again.
+// NOTES:
+//   - Pure engine logic: no DOM. Runs in the browser and Node
+//     (TextEncoder, btoa/atob).
+//   - Encode expects a structurally valid puzzle; decode only
+//     checks that the code is well formed. Callers run
+//     validateStructure() on the result before starting it.
+//   - _solution is never packed (a shared puzzle would give its
+//     answer away); rectangle regions are packed as cell lists.
+//   - Progress is a saveState snapshot: the placed tray dominos
+//     and elapsed time, restored with restoreState().
+//   - The packed id is only a label: anyone can write any id into
+//     a code, so players key shared puzzles by sharedPuzzleId()
+//     and never touch a catalog or daily puzzle's saves.
+//
+// FORMAT (version 1), unsigned LEB128 varints, then base64url:
+//   version, flags (1 progress, 2 id, 4 title, 8 difficulty),
+//   width, height, domino set index,
+//   [id] [title] [difficulty]          length-prefixed UTF-8
+//   blocked cells                      count, sorted index deltas
+//   regions                            count, then per region:
+//     id, rule tag (0 none, 1 token, 2 JSON), [rule], cells
+//   tray dominos                       count, domino codes
+//   starting dominos                   count, domino, cell, cell
+//   [progress] elapsed seconds, count, domino, cell, cell
+//   cell index = row * width + col; domino code = pip0 * (maxPip + 1) + pip1
+// ============================================================
+
+import { DOMINO_SETS, formatDominoId, getPipsFromId, resolveDominoSet } from "./domino.js";
+import { SAVE_VERSION } from "./saveState.js";
+import { hashSeed } from "./generator.js";
+
+export const SHARE_CODE_VERSION = 1;
+
+const SET_NAMES = Object.keys(DOMINO_SETS);
+
+const FLAG_PROGRESS = 1;
+const FLAG_ID = 2;
+const FLAG_TITLE = 4;
+const FLAG_DIFFICULTY = 8;
+
+const RULE_NONE = 0;
+const RULE_TOKEN = 1;
+const RULE_JSON = 2;
+
+// Codes arrive in URLs; refuse boards no real puzzle needs
+// before the loader allocates a grid for them.
+const MAX_SIDE = 64;
+
+// ------------------------------------------------------------
+// Byte writer / reader
+// ------------------------------------------------------------
+function createWriter() {
+  const bytes = [];
+
+  const uint = (n) => {
+    let v = n;
+    do {
+      const low = v % 128;
+      v = Math.floor(v / 128);
+      bytes.push(v > 0 ? low + 128 : low);
+    } while (v > 0);
+  };
+
+  const text = (s) => {
+    const encoded = new TextEncoder().encode(s);
+    uint(encoded.length);
+    bytes.push(...encoded);
+  };
+
+  return { uint, text, bytes: () => Uint8Array.from(bytes) };
+}
+
+// Reads past the end throw; decodeShareCode turns that into a reason
+function createReader(bytes) {
+  let pos = 0;
+
+  const uint = () => {
+    let n = 0;
+    let scale = 1;
+    for (;;) {
+      if (pos >= bytes.length) throw new Error("truncated");
+      const b = bytes[pos++];
+      n += (b % 128) * scale;
+      if (b < 128) return n;
+      scale *= 128;
+      if (scale > 2 ** 49) throw new Error("varint too long");
+    }
+  };
+
+  const text = () => {
+    const length = uint();
+    if (pos + length > bytes.length) throw new Error("truncated");
+    const s = new TextDecoder("utf-8", { fatal: true }).decode(bytes.subarray(pos, pos + length));
+    pos += length;
+    return s;
+  };
+
+  return { uint, text, done: () => pos === bytes.length };
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]*$/.test(code)) throw new Error("not base64url");
+  const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// ------------------------------------------------------------
+// Cells and dominos
+// ------------------------------------------------------------
+function regionCells(region) {
+  if (Array.isArray(region.cells)) return region.cells;
+
+  const cells = [];
+  for (let row = region.top; row < region.top + region.height; row++) {
+    for (let col = region.left; col < region.left + region.width; col++) cells.push({ row, col });
+  }
+  return cells;
+}
+
+// Order never matters for these lists: sort, then store gaps
+function writeCellSet(w, width, cells) {
+  const indices = cells.map(c => c.row * width + c.col).sort((a, b) => a - b);
+  w.uint(indices.length);
+  let prev = 0;
+  for (const i of indices) {
+    w.uint(i - prev);
+    prev = i;
+  }
+}
+
+function readCell(index, width, height) {
+  if (index >= width * height) throw new Error("cell out of range");
+  return { row: Math.floor(index / width), col: index % width };
+}
+
+function readCellSet(r, width, height) {
+  const cells = [];
+  let index = 0;
+  for (let n = r.uint(); n > 0; n--) {
+    index += r.uint();
+    cells.push(readCell(index, width, height));
+  }
+  return cells;
+}
+
+function writePlacement(w, width, maxPip, id, cells) {
+  writeDomino(w, maxPip, id);
+  for (const c of cells) w.uint(c.row * width + c.col);
+}
+
+function readPlacement(r, width, height, maxPip) {
+  const domino = readDomino(r, maxPip);
+  const cells = [r.uint(), r.uint()].map(i => readCell(i, width, height));
+  return { domino, cells };
+}
+
+function writeDomino(w, maxPip, id) {
+  const { pip0, pip1 } = getPipsFromId(String(id));
+  w.uint(pip0 * (maxPip + 1) + pip1);
+}
+
+function readDomino(r, maxPip) {
+  const code = r.uint();
+  const pip0 = Math.floor(code / (maxPip + 1));
+  if (pip0 > maxPip) throw new Error("domino out of range");
+  return formatDominoId(pip0, code % (maxPip + 1));
+}
+
+// ------------------------------------------------------------
+// encodeShareCode(puzzleDef, { progress })
+// progress: optional saveState snapshot (serializeState());
+// only dominos on the board are packed.
+// RETURNS: URL-safe string
+// ------------------------------------------------------------
+export function encodeShareCode(puzzleDef, { progress = null } = {}) {
+  const { width, height } = puzzleDef;
+  const dominoSet = resolveDominoSet(puzzleDef);
+  if (!dominoSet) throw new Error(`encodeShareCode: unknown dominoSet "${puzzleDef.dominoSet}"`);
+  const { maxPip } = dominoSet;
+
+  const placed = (progress?.dominos || []).filter(d => Array.isArray(d.cells));
+
+  const flags =
+    (progress ? FLAG_PROGRESS : 0) |
+    (puzzleDef.id ? FLAG_ID : 0) |
+    (puzzleDef.title ? FLAG_TITLE : 0) |
+    (puzzleDef.difficulty ? FLAG_DIFFICULTY : 0);
+
+  const w = createWriter();
+  w.uint(SHARE_CODE_VERSION);
+  w.uint(flags);
+  w.uint(width);
+  w.uint(height);
+  w.uint(SET_NAMES.indexOf(dominoSet.name));
+
+  if (flags & FLAG_ID) w.text(String(puzzleDef.id));
+  if (flags & FLAG_TITLE) w.text(String(puzzleDef.title));
+  if (flags & FLAG_DIFFICULTY) w.text(String(puzzleDef.difficulty));
+
+  writeCellSet(w, width, puzzleDef.blocked || []);
+
+  const regions = puzzleDef.regions || [];
+  w.uint(regions.length);
+  for (const region of regions) {
+    w.uint(region.id);
+    if (region.rule === undefined || region.rule === null) {
+      w.uint(RULE_NONE);
+    } else if (typeof region.rule === "string") {
+      w.uint(RULE_TOKEN);
+      w.text(region.rule);
+    } else {
+      w.uint(RULE_JSON);
+      w.text(JSON.stringify(region.rule));
+    }
+    writeCellSet(w, width, regionCells(region));
+  }
+
+  const tray = puzzleDef.dominos || [];
+  w.uint(tray.length);
+  for (const id of tray) writeDomino(w, maxPip, id);
+
+  const starting = puzzleDef.startingDominos || [];
+  w.uint(starting.length);
+  for (const s of starting) writePlacement(w, width, maxPip, s.domino, s.cells);
+
+  if (flags & FLAG_PROGRESS) {
+    w.uint(Math.round((progress.elapsedMs || 0) / 1000));
+    w.uint(placed.length);
+    for (const d of placed) writePlacement(w, width, maxPip, d.id, d.cells);
+  }
+
+  return toBase64Url(w.bytes());
+}
+
+// ------------------------------------------------------------
+// decodeShareCode(code)
+// RETURNS:
+//   { ok: true, puzzle, progress }   progress: snapshot or null
+//   { ok: false, reason, info }      reason: "empty-code" |
+//     "invalid-code" | "unsupported-version"
+// ------------------------------------------------------------
+export function decodeShareCode(code) {
+  if (typeof code !== "string" || code.trim() === "") {
+    return { ok: false, reason: "empty-code" };
+  }
+
+  try {
+    const r = createReader(fromBase64Url(code.trim()));
+
+    const version = r.uint();
+    if (version !== SHARE_CODE_VERSION) {
+      return { ok: false, reason: "unsupported-version", info: { version } };
+    }
+
+    const flags = r.uint();
+    const width = r.uint();
+    const height = r.uint();
+    const setName = SET_NAMES[r.uint()];
+    if (!setName || width < 1 || height < 1 || width > MAX_SIDE || height > MAX_SIDE) {
+      throw new Error("bad header");
+    }
+    const maxPip = DOMINO_SETS[setName];
+
+    const puzzle = {};
+    if (flags & FLAG_ID) puzzle.id = r.text();
+    if (flags & FLAG_TITLE) puzzle.title = r.text();
+    if (flags & FLAG_DIFFICULTY) puzzle.difficulty = r.text();
+    puzzle.width = width;
+    puzzle.height = height;
+    if (setName !== SET_NAMES[0]) puzzle.dominoSet = setName;
+
+    const blocked = readCellSet(r, width, height);
+
+    const regions = [];
+    for (let n = r.uint(); n > 0; n--) {
+      const region = { id: r.uint() };
+      const tag = r.uint();
+      if (tag === RULE_TOKEN) region.rule = r.text();
+      else if (tag === RULE_JSON) region.rule = JSON.parse(r.text());
+      else if (tag !== RULE_NONE) throw new Error("bad rule tag");
+      region.cells = readCellSet(r, width, height);
+      regions.push(region);
+    }
+
+    puzzle.dominos = [];
+    for (let n = r.uint(); n > 0; n--) puzzle.dominos.push(readDomino(r, maxPip));
+
+    puzzle.startingDominos = [];
+    for (let n = r.uint(); n > 0; n--) puzzle.startingDominos.push(readPlacement(r, width, height, maxPip));
+
+    puzzle.blocked = blocked;
+    puzzle.regions = regions;
+
+    let progress = null;
+    if (flags & FLAG_PROGRESS) {
+      const elapsedMs = r.uint() * 1000;
+      const dominos = [];
+      for (let n = r.uint(); n > 0; n--) {
+        const { domino, cells } = readPlacement(r, width, height, maxPip);
+        dominos.push({ id: domino, cells, trayOrientation: 0 });
+      }
+      progress = { version: SAVE_VERSION, puzzleId: puzzle.id, savedAt: 0, elapsedMs, dominos };
+    }
+
+    if (!r.done()) throw new Error("trailing bytes");
+
+    return { ok: true, puzzle, progress };
+  } catch (err) {
+    return { ok: false, reason: "invalid-code", info: { message: err.message } };
+  }
+}
+
+// ------------------------------------------------------------
+// sharedPuzzleId(puzzleDef)
+// "shared-<hash>" of the board alone (id, title and difficulty
+// left out), so the same shared board always gets the same saves.
+// ------------------------------------------------------------
+export function sharedPuzzleId(puzzleDef) {
+  const { id, title, difficulty, ...board } = puzzleDef;
+  return `shared-${hashSeed(encodeShareCode(board)).toString(36)}`;
+}
@@ -0,0 +1,591 @@
+// ============================================================
+// FILE: solver.js
+// PURPOSE: Exhaustive Pips solver with solution counting.
+// NOTES:
+//   - Pure engine logic: no DOM, no UI, no side effects.
+//   - Runs unchanged in the browser and in Node (ES module).
+//   - Input is the engine state produced by loadPuzzle().
+//   - Never mutates the state it is given; the search runs on
+//     private flat arrays.
+//   - Dominos already on the grid are treated as fixed.
+//
+// SEARCH:
+//   - Pick the empty cell with the fewest free neighbours
+//     (a cell with none is a dead end).
+//   - Try every unused domino, both orientations, on each
+//     free neighbour.
+//   - After every placement, prune if any region can no longer
+//     reach its rule given the halves still in hand.
+//   - Each tiling is reached through exactly one branch, so
+//     solutions are counted without duplicates.
+// ============================================================
+
+import { getPipsFromId } from "./domino.js";
+import { parseRule } from "./ruleParser.js";
+
+const DEFAULT_COUNT_LIMIT = 1000;
+const DEFAULT_NODE_LIMIT = 2000000;
+
+// ------------------------------------------------------------
+// solvePuzzle(state, options)
+// ------------------------------------------------------------
+
+/**
+ * solvePuzzle(state, options)
+ * Enumerates domino tilings that satisfy every region rule.
+ *
+ * EXPECTS:
+ *   - state: engine state from loadPuzzle()
+ *       { grid, blocked, regionMap, regions, dominos, startingDominoIds }
+ *   - options:
+ *       maxSolutions  number of solutions to return (default 1)
+ *       countLimit    stop counting at this many (default 1000)
+ *       nodeLimit     stop after this many search nodes (default 2e6)
+ *       fixed         "placed" (default): every domino on the grid
+ *                     stays where it is; "starting": only starting
+ *                     dominos stay, everything else returns to hand;
+ *                     a Set of domino ids: starting dominos plus
+ *                     those ids stay (if placed).
+ *
+ * RETURNS:
+ *   {
+ *     solutions: [ [ { domino, cells:[{row,col},{row,col}] }, ... ] ],
+ *     count,      // solutions found (<= countLimit)
+ *     capped,     // true if counting stopped at countLimit
+ *     aborted,    // true if the node limit was hit
+ *     nodes       // search nodes visited
+ *   }
+ *
+ * NOTES:
+ *   - Placements use the same shape as _solution.placements and
+ *     include the fixed dominos.
+ *   - count is exact only when neither capped nor aborted.
+ */
+export function solvePuzzle(state, options = {}) {
+  const {
+    maxSolutions = 1,
+    countLimit = DEFAULT_COUNT_LIMIT,
+    nodeLimit = DEFAULT_NODE_LIMIT,
+    fixed = "placed"
+  } = options;
+
+  const model = buildModel(state, fixed);
+
+  const result = {
+    solutions: [],
+    count: 0,
+    capped: false,
+    aborted: false,
+    nodes: 0
+  };
+
+  if (!model.feasible) return result;
+
+  search(model, result, { maxSolutions, countLimit, nodeLimit });
+  return result;
+}
+
+// ------------------------------------------------------------
+// countSolutions(state, limit)
+// Convenience wrapper: number of solutions, capped at limit.
+// ------------------------------------------------------------
+export function countSolutions(state, limit = 2, options = {}) {
+  return solvePuzzle(state, { ...options, maxSolutions: 0, countLimit: limit }).count;
+}
+
+// ------------------------------------------------------------
+// hasUniqueSolution(state)
+// True only when the search proved exactly one solution.
+// ------------------------------------------------------------
+export function hasUniqueSolution(state, options = {}) {
+  const res = solvePuzzle(state, { ...options, maxSolutions: 0, countLimit: 2 });
+  return res.count === 1 && !res.aborted;
+}
+
+// ============================================================
+// Model construction
+// ============================================================
+
+/**
+ * buildModel(state, fixed)
+ * Flattens engine state into arrays the search can mutate.
+ *
+ * MODEL:
+ *   rows, cols
+ *   playable[i]   cell is not blocked
+ *   pip[i]        pip value at cell i, or -1 when empty
+ *   owner[i]      domino id covering cell i, or null
+ *   regionOf[i]   region index for cell i, or -1
+ *   regions[k]    { id, rule, cells:[i,...] }
+ *   hand          [{ id, pip0, pip1, used }]
+ *   halves[p]     count of unused halves showing p pips
+ *   fixedPlacements  placements that are not searched
+ */
+export function buildModel(state, fixed = "placed") {
+  if (!state || !Array.isArray(state.grid) || !(state.dominos instanceof Map)) {
+    throw new Error("solver: state must come from loadPuzzle()");
+  }
+
+  const rows = state.grid.length;
+  const cols = state.grid[0]?.length || 0;
+  const size = rows * cols;
+
+  const playable = new Array(size).fill(true);
+  const pip = new Array(size).fill(-1);
+  const owner = new Array(size).fill(null);
+  const regionOf = new Array(size).fill(-1);
+
+  for (const key of state.blocked || []) {
+    const [r, c] = key.split(",").map(Number);
+    if (r >= 0 && r < rows && c >= 0 && c < cols) playable[r * cols + c] = false;
+  }
+
+  // ----------------------------------------------------------
+  // Regions (membership from regionMap, rules parsed once)
+  // ----------------------------------------------------------
+  const regions = [];
+  const regionIndexById = new Map();
+
+  for (const region of state.regions || []) {
+    let rule = null;
+    if (region.rule !== undefined) {
+      const parsed = parseRule(region.rule);
+      if (!parsed.ok) {
+        throw new Error(
+          `solver: region ${region.id} has invalid rule ${JSON.stringify(region.rule)} (${parsed.reason})`
+        );
+      }
+      rule = parsed.rule;
+    }
+    regionIndexById.set(region.id, regions.length);
+    regions.push({ id: region.id, rule, cells: [] });
+  }
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const k = regionIndexById.get(state.regionMap?.[r]?.[c]);
+      if (k === undefined) continue;
+      regionOf[r * cols + c] = k;
+      regions[k].cells.push(r * cols + c);
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Fixed dominos vs. dominos in hand
+  // ----------------------------------------------------------
+  const startingIds = state.startingDominoIds || new Set();
+  const hand = [];
+  const fixedPlacements = [];
+  let maxPip = 0;
+
+  for (const d of state.dominos.values()) {
+    const id = String(d.id);
+    const { pip0, pip1 } = getPipsFromId(id);
+    maxPip = Math.max(maxPip, pip0, pip1);
+
+    const keep =
+      Array.isArray(d.cells) &&
+      d.cells.length === 2 &&
+      (fixed === "placed" || startingIds.has(id) || (fixed instanceof Set && fixed.has(id)));
+
+    if (!keep) {
+      hand.push({ id, pip0, pip1, used: false });
+      continue;
+    }
+
+    const [a, b] = d.cells;
+    const ia = a.row * cols + a.col;
+    const ib = b.row * cols + b.col;
+    pip[ia] = pip0;
+    pip[ib] = pip1;
+    owner[ia] = id;
+    owner[ib] = id;
+    fixedPlacements.push({
+      domino: id,
+      cells: [{ row: a.row, col: a.col }, { row: b.row, col: b.col }]
+    });
+  }
+
+  const halves = new Array(maxPip + 1).fill(0);
+  for (const h of hand) {
+    halves[h.pip0]++;
+    halves[h.pip1]++;
+  }
+
+  let emptyCount = 0;
+  for (let i = 0; i < size; i++) {
+    if (playable[i] && pip[i] < 0) emptyCount++;
+  }
+
+  const model = {
+    rows,
+    cols,
+    playable,
+    pip,
+    owner,
+    regionOf,
+    regions,
+    hand,
+    halves,
+    maxPip,
+    fixedPlacements,
+    placements: [],
+    feasible: emptyCount === 2 * hand.length
+  };
+
+  if (model.feasible) {
+    model.feasible = regions.every(region => regionFeasible(model, region));
+  }
+
+  return model;
+}
+
+// ============================================================
+// Search
+// ============================================================
+function search(model, result, limits) {
+  result.nodes++;
+  if (result.nodes > limits.nodeLimit) {
+    result.aborted = true;
+    return true;
+  }
+
+  const cell = pickCell(model);
+
+  // Board full → every region already passed regionFeasible()
+  if (cell === -1) {
+    result.count++;
+    if (result.solutions.length < limits.maxSolutions) {
+      result.solutions.push(snapshotSolution(model));
+    }
+    if (result.count >= limits.countLimit) {
+      result.capped = true;
+      return true;
+    }
+    return false;
+  }
+
+  if (cell === -2) return false; // dead end: isolated empty cell
+
+  for (const other of freeNeighbors(model, cell)) {
+    for (const d of model.hand) {
+      if (d.used) continue;
+
+      const orientations = d.pip0 === d.pip1
+        ? [[d.pip0, d.pip1]]
+        : [[d.pip0, d.pip1], [d.pip1, d.pip0]];
+
+      for (const [pa, pb] of orientations) {
+        place(model, d, cell, other, pa, pb);
+
+        if (placementFeasible(model, cell, other)) {
+          if (search(model, result, limits)) {
+            unplace(model, d, cell, other, pa, pb);
+            return true;
+          }
+        }
+
+        unplace(model, d, cell, other, pa, pb);
+      }
+    }
+  }
+
+  return false;
+}
+
+// ------------------------------------------------------------
+// pickCell(model)
+// Empty cell with the fewest free neighbours.
+// RETURNS: cell index, -1 when the board is full, -2 on dead end.
+// ------------------------------------------------------------
+function pickCell(model) {
+  let best = -1;
+  let bestOptions = Infinity;
+
+  for (let i = 0; i < model.pip.length; i++) {
+    if (!model.playable[i] || model.pip[i] >= 0) continue;
+
+    const options = freeNeighbors(model, i).length;
+    if (options === 0) return -2;
+    if (options < bestOptions) {
+      best = i;
+      bestOptions = options;
+      if (options === 1) break;
+    }
+  }
+
+  return best;
+}
+
+function freeNeighbors(model, i) {
+  const { rows, cols, playable, pip } = model;
+  const r = Math.floor(i / cols);
+  const c = i % cols;
+  const out = [];
+
+  if (r > 0 && playable[i - cols] && pip[i - cols] < 0) out.push(i - cols);
+  if (c < cols - 1 && playable[i + 1] && pip[i + 1] < 0) out.push(i + 1);
+  if (r < rows - 1 && playable[i + cols] && pip[i + cols] < 0) out.push(i + cols);
+  if (c > 0 && playable[i - 1] && pip[i - 1] < 0) out.push(i - 1);
+
+  return out;
+}
+
+function place(model, d, a, b, pa, pb) {
+  d.used = true;
+  model.pip[a] = pa;
+  model.pip[b] = pb;
+  model.owner[a] = d.id;
+  model.owner[b] = d.id;
+  model.halves[d.pip0]--;
+  model.halves[d.pip1]--;
+  model.placements.push({ id: d.id, a, b, pa });
+}
+
+function unplace(model, d, a, b) {
+  d.used = false;
+  model.pip[a] = -1;
+  model.pip[b] = -1;
+  model.owner[a] = null;
+  model.owner[b] = null;
+  model.halves[d.pip0]++;
+  model.halves[d.pip1]++;
+  model.placements.pop();
+}
+
+// ------------------------------------------------------------
+// placementFeasible(model, a, b)
+// The touched regions must still be reachable, and — because
+// the remaining halves just shrank — so must every other
+// incomplete region.
+// ------------------------------------------------------------
+function placementFeasible(model, a, b) {
+  const ra = model.regionOf[a];
+  const rb = model.regionOf[b];
+
+  if (ra >= 0 && !regionFeasible(model, model.regions[ra])) return false;
+  if (rb >= 0 && rb !== ra && !regionFeasible(model, model.regions[rb])) return false;
+
+  for (let k = 0; k < model.regions.length; k++) {
+    if (k === ra || k === rb) continue;
+    if (!regionFeasible(model, model.regions[k])) return false;
+  }
+
+  return true;
+}
+
+// ============================================================
+// Candidate placements (shared with engine/hints.js and
+// engine/rater.js)
+// ============================================================
+
+// Cell index → { row, col }
+export function modelCell(model, i) {
+  return { row: Math.floor(i / model.cols), col: i % model.cols };
+}
+
+/**
+ * candidateCells(model, cand)
+ * A candidate's cells in proposal order (cells[0] shows pip0),
+ * ready for commitPlacement().
+ */
+export function candidateCells(model, cand) {
+  const { pip0 } = getPipsFromId(cand.dominoId);
+  const a = modelCell(model, cand.a);
+  const b = modelCell(model, cand.b);
+  return cand.pa === pip0 ? [a, b] : [b, a];
+}
+
+/**
+ * withCandidate(model, cand, fn)
+ * Places cand on the model, returns fn(model), then restores
+ * the model (lookahead without copying state).
+ */
+export function withCandidate(model, cand, fn) {
+  const d = model.hand.find(h => h.id === cand.dominoId);
+  place(model, d, cand.a, cand.b, cand.pa, cand.pb);
+  try {
+    return fn(model);
+  } finally {
+    unplace(model, d, cand.a, cand.b);
+  }
+}
+
+/**
+ * candidatePlacements(model)
+ * Every single-step placement of an unused domino on two free
+ * adjacent cells, with the reason it is ruled out (if any).
+ *
+ * RETURNS:
+ *   [{ dominoId, a, b, pa, pb, ok, failedRegion, isolates }]
+ *   a, b          cell indices; pa/pb = pips shown on a/b
+ *   ok            no region proven unreachable, no cell isolated
+ *   failedRegion  index into model.regions, or -1
+ *   isolates      an empty neighbour would be left with no partner
+ *
+ * NOTES:
+ *   - Uses the same pruning as the search, so ok === false is a
+ *     proof; ok === true only means "not ruled out yet".
+ *   - The model is restored before returning.
+ */
+export function candidatePlacements(model) {
+  const out = [];
+
+  for (let a = 0; a < model.pip.length; a++) {
+    if (!model.playable[a] || model.pip[a] >= 0) continue;
+
+    for (const b of freeNeighbors(model, a)) {
+      if (b < a) continue; // each cell pair once
+
+      for (const d of model.hand) {
+        if (d.used) continue;
+
+        const orientations = d.pip0 === d.pip1
+          ? [[d.pip0, d.pip1]]
+          : [[d.pip0, d.pip1], [d.pip1, d.pip0]];
+
+        for (const [pa, pb] of orientations) {
+          place(model, d, a, b, pa, pb);
+
+          let failedRegion = -1;
+          for (let k = 0; k < model.regions.length && failedRegion < 0; k++) {
+            if (!regionFeasible(model, model.regions[k])) failedRegion = k;
+          }
+
+          const isolates = [...freeNeighbors(model, a), ...freeNeighbors(model, b)]
+            .some(n => freeNeighbors(model, n).length === 0);
+
+          unplace(model, d, a, b, pa, pb);
+
+          out.push({
+            dominoId: d.id,
+            a,
+            b,
+            pa,
+            pb,
+            ok: failedRegion < 0 && !isolates,
+            failedRegion,
+            isolates
+          });
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+// ============================================================
+// Region feasibility (bounds against the halves still in hand)
+// ============================================================
+
+/**
+ * regionFeasible(model, region)
+ * True if the region's rule can still be met by filling its
+ * empty cells from the halves left in hand.
+ *
+ * NOTES:
+ *   - A relaxation: halves are treated as independent, so a
+ *     true result is not a guarantee, but false is a proof.
+ */
+export function regionFeasible(model, region) {
+  const { rule } = region;
+  if (!rule) return true;
+
+  const values = [];
+  let empty = 0;
+
+  for (const i of region.cells) {
+    if (model.pip[i] >= 0) values.push(model.pip[i]);
+    else empty++;
+  }
+
+  return ruleReachable(rule, values, empty, model.halves);
+}
+
+/**
+ * ruleReachable(rule, values, empty, halves)
+ * Bounds check shared by the solver and live region status.
+ *
+ * EXPECTS:
+ *   - rule: parsed rule AST
+ *   - values: pips already placed in the region
+ *   - empty: number of region cells still empty
+ *   - halves: halves[p] = count of available halves with p pips
+ */
+export function ruleReachable(rule, values, empty, halves) {
+  const sum = values.reduce((a, b) => a + b, 0);
+
+  if (rule.kind === "sum") {
+    const lo = sum + extremeSum(halves, empty, true);
+    const hi = sum + extremeSum(halves, empty, false);
+    if (lo === null) return false;
+
+    switch (rule.op) {
+      case "=":  return lo <= rule.value && rule.value <= hi;
+      case "<":  return lo < rule.value;
+      case "<=": return lo <= rule.value;
+      case ">":  return hi > rule.value;
+      case ">=": return hi >= rule.value;
+      case "!=": return !(lo === hi && lo === rule.value);
+      default:   return false;
+    }
+  }
+
+  if (rule.kind === "all-equal") {
+    if (values.some(v => v !== values[0])) return false;
+    if (empty === 0) return true;
+    if (values.length > 0) return (halves[values[0]] || 0) >= empty;
+    return halves.some(n => n >= empty);
+  }
+
+  if (rule.kind === "all-different") {
+    const seen = new Set(values);
+    if (seen.size !== values.length) return false;
+    if (empty === 0) return true;
+
+    let distinct = 0;
+    halves.forEach((n, p) => {
+      if (n > 0 && !seen.has(p)) distinct++;
+    });
+    return distinct >= empty;
+  }
+
+  return false;
+}
+
+// ------------------------------------------------------------
+// extremeSum(halves, k, smallest)
+// Sum of the k smallest (or largest) available halves,
+// or null if fewer than k halves remain.
+// ------------------------------------------------------------
+function extremeSum(halves, k, smallest) {
+  let total = 0;
+  let need = k;
+
+  for (let n = 0; n < halves.length && need > 0; n++) {
+    const p = smallest ? n : halves.length - 1 - n;
+    const take = Math.min(need, halves[p]);
+    total += take * p;
+    need -= take;
+  }
+
+  return need > 0 ? null : total;
+}
+
+// ------------------------------------------------------------
+// snapshotSolution(model)
+// Current full tiling as _solution-style placements.
+// ------------------------------------------------------------
+function snapshotSolution(model) {
+  // half0 of the domino carries pip0; candidateCells orients them
+  const searched = model.placements.map(({ id, a, b, pa }) => ({
+    domino: id,
+    cells: candidateCells(model, { dominoId: id, a, b, pa })
+  }));
+
+  return [...model.fixedPlacements.map(p => ({
+    domino: p.domino,
+    cells: p.cells.map(c => ({ ...c }))
+  })), ...searched];
+}
@@ -3,11 +3,31 @@
 // PURPOSE:
 //   Authoritative structural validation for puzzle definitions.
 //   Enforces Structural Invariants before any engine state exists.
+//   Shape is checked first (schemaValidator.js against
+//   puzzleSchema.js); a file with schema errors is rejected with
+//   those errors alone, since the invariants below assume the
+//   documented types.
+// OPTIONS:
+//   verifySolution - also replay _solution.placements through the
+//                    engine once the structural invariants hold.
 // ============================================================
 
-import { MASTER_TRAY } from "./domino.js";
+import { validateSchema } from "./schemaValidator.js";
+import { isValidDominoId, resolveDominoSet } from "./domino.js";
+import { parseRule } from "./ruleParser.js";
+import { loadPuzzle } from "./loader.js";
+import { commitPlacement } from "./placement.js";
+import { evaluateAllRegions } from "./regionRules.js";
+
+export function validateStructure(puzzleDef, options = {}) {
+  // ------------------------------------------------------------
+  // Schema: types and shape before any invariant
+  // ------------------------------------------------------------
+  const schemaErrors = validateSchema(puzzleDef);
+  if (schemaErrors.length > 0) {
+    return { status: "Rejected", errors: schemaErrors };
+  }
 
-export function validateStructure(puzzleDef) {
   const errors = [];
 
   const width = puzzleDef.width;
@@ -295,6 +315,24 @@ export function validateStructure(puzzleDef) {
     });
   }
 
+  // ------------------------------------------------------------
+  // Invariant: region rule tokens must parse
+  // ------------------------------------------------------------
+  if (Array.isArray(puzzleDef.regions)) {
+    puzzleDef.regions.forEach((region, index) => {
+      if (!region || region.rule === undefined) return;
+
+      const parsed = parseRule(region.rule);
+      if (!parsed.ok) {
+        errors.push({
+          code: "INVALID_REGION_RULE",
+          message: `Region rule ${JSON.stringify(region.rule)} is invalid at position ${parsed.info.position}: ${parsed.info.message}`,
+          path: `/regions/${index}/rule`
+        });
+      }
+    });
+  }
+
   // ------------------------------------------------------------
   // Invariant: starting dominos must NOT exist in tray
   // ------------------------------------------------------------
@@ -316,22 +354,48 @@ export function validateStructure(puzzleDef) {
     });
   }
 
+  // dominoSet names were checked by the schema (enum)
+  const dominoSet = resolveDominoSet(puzzleDef);
+
+  // ------------------------------------------------------------
+  // Invariant: tray domino IDs must be canonical dominos of the set
+  // ------------------------------------------------------------
+  if (dominoSet && Array.isArray(puzzleDef.dominos)) {
+    puzzleDef.dominos.forEach((id, index) => {
+      if (!isValidDominoId(String(id), dominoSet.maxPip)) {
+        errors.push({
+          code: "INVALID_DOMINO_ID",
+          message: `Domino ID "${id}" is not a canonical ${dominoSet.name} domino.`,
+          path: `/dominos/${index}`
+        });
+      }
+    });
+  }
+
   // ------------------------------------------------------------
   // Invariant: starting domino IDs must be valid canonical dominos
   // ------------------------------------------------------------
-  if (Array.isArray(puzzleDef.startingDominos)) {
+  if (dominoSet && Array.isArray(puzzleDef.startingDominos)) {
     puzzleDef.startingDominos.forEach((entry, index) => {
       const id = String(entry.domino);
-      if (!MASTER_TRAY.includes(id)) {
+      if (!isValidDominoId(id, dominoSet.maxPip)) {
         errors.push({
           code: "INVALID_STARTING_DOMINO_ID",
-          message: "Starting domino ID is not a valid canonical domino.",
+          message: `Starting domino ID is not a canonical ${dominoSet.name} domino.`,
           path: `/startingDominos/${index}`
         });
       }
     });
   }
 
+  // ------------------------------------------------------------
+  // Optional: solution verification (requires a sound structure,
+  // because it builds real engine state via loadPuzzle)
+  // ------------------------------------------------------------
+  if (options.verifySolution && errors.length === 0) {
+    errors.push(...verifySolution(puzzleDef));
+  }
+
   // ------------------------------------------------------------
   // Final decision
   // ------------------------------------------------------------
@@ -341,3 +405,144 @@ export function validateStructure(puzzleDef) {
 
   return { status: "Accepted" };
 }
+
+// ------------------------------------------------------------
+// Placement reject reason → solution error code
+// ------------------------------------------------------------
+const SOLUTION_REASON_CODES = {
+  "invalid-cells": "SOLUTION_INVALID_CELLS",
+  "invalid-coordinates": "SOLUTION_INVALID_CELLS",
+  "identical-cells": "SOLUTION_INVALID_CELLS",
+  "non-adjacent": "SOLUTION_CELLS_NOT_ADJACENT",
+  "out-of-bounds": "SOLUTION_CELL_OUT_OF_BOUNDS",
+  "blocked": "SOLUTION_ON_BLOCKED_CELL",
+  "occupied": "SOLUTION_OVERLAP",
+  "unknown-domino": "SOLUTION_UNKNOWN_DOMINO"
+};
+
+// ------------------------------------------------------------
+// verifySolution(puzzleDef)
+// Replays _solution.placements on fresh engine state.
+// RETURNS: array of { code, message, path } (empty when valid)
+// CHECKS:
+//   - solution uses exactly the tray + starting domino set
+//   - starting dominos are listed where the puzzle fixes them
+//   - each placement is accepted by commitPlacement()
+//   - every non-blocked cell is covered
+//   - every region rule is satisfied
+// ------------------------------------------------------------
+function verifySolution(puzzleDef) {
+  const errors = [];
+  const placements = puzzleDef._solution?.placements;
+
+  if (!Array.isArray(placements)) {
+    errors.push({
+      code: "SOLUTION_MISSING",
+      message: "Puzzle has no _solution.placements list.",
+      path: "/_solution/placements"
+    });
+    return errors;
+  }
+
+  const state = loadPuzzle(puzzleDef);
+
+  const startingCells = new Map(
+    (puzzleDef.startingDominos || []).map(e => [String(e.domino), e.cells])
+  );
+  const expected = new Set([
+    ...(puzzleDef.dominos || []).map(String),
+    ...startingCells.keys()
+  ]);
+  const seen = new Set();
+
+  placements.forEach((entry, index) => {
+    const path = `/_solution/placements/${index}`;
+    const id = String(entry?.domino ?? "");
+
+    if (!expected.has(id)) {
+      errors.push({
+        code: "SOLUTION_UNKNOWN_DOMINO",
+        message: `Solution domino "${id}" is not in the tray or starting set.`,
+        path
+      });
+      return;
+    }
+
+    if (seen.has(id)) {
+      errors.push({
+        code: "SOLUTION_DUPLICATE_DOMINO",
+        message: `Solution places domino "${id}" more than once.`,
+        path
+      });
+      return;
+    }
+    seen.add(id);
+
+    // Starting dominos are already on the board; they must match.
+    if (startingCells.has(id)) {
+      if (!sameCells(startingCells.get(id), entry.cells)) {
+        errors.push({
+          code: "SOLUTION_STARTING_DOMINO_MOVED",
+          message: `Solution moves starting domino "${id}" away from its fixed cells.`,
+          path
+        });
+      }
+      return;
+    }
+
+    const res = commitPlacement(state, { dominoId: id, cells: entry.cells });
+    if (!res.accepted) {
+      errors.push({
+        code: SOLUTION_REASON_CODES[res.reason] || "SOLUTION_PLACEMENT_REJECTED",
+        message: `Solution placement for "${id}" rejected by engine (${res.reason}).`,
+        path
+      });
+    }
+  });
+
+  for (const id of expected) {
+    if (!seen.has(id)) {
+      errors.push({
+        code: "SOLUTION_MISSING_DOMINO",
+        message: `Solution does not place domino "${id}".`,
+        path: "/_solution/placements"
+      });
+    }
+  }
+
+  // Coverage: every non-blocked cell exactly once (overlaps were
+  // already rejected by commitPlacement)
+  for (let r = 0; r < state.boardRows; r++) {
+    for (let c = 0; c < state.boardCols; c++) {
+      if (state.blocked.has(`${r},${c}`) || state.grid[r][c]) continue;
+      errors.push({
+        code: "SOLUTION_CELL_UNCOVERED",
+        message: `Solution leaves cell (${r},${c}) uncovered.`,
+        path: "/_solution/placements"
+      });
+    }
+  }
+
+  // Region rules (regions left incomplete are already reported
+  // through the uncovered cells above)
+  const results = evaluateAllRegions(state.grid, state.regionMap, state.regions);
+  for (const rr of results) {
+    if (rr.status !== "violated") continue;
+    const index = state.regions.findIndex(region => region.id === rr.id);
+    errors.push({
+      code: "SOLUTION_REGION_RULE_FAILED",
+      message: `Region ${rr.id} rule "${rr.rule.token ?? rr.rule.op}" is violated by the solution (value ${rr.currentValue}).`,
+      path: `/regions/${index}`
+    });
+  }
+
+  return errors;
+}
+
+function sameCells(a, b) {
+  return (
+    Array.isArray(a) && Array.isArray(b) &&
+    a.length === 2 && b.length === 2 &&
+    a.every((cell, i) => cell.row === b[i]?.row && cell.col === b[i]?.col)
+  );
+}
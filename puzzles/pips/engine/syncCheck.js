@@ -4,9 +4,35 @@
 //   Verify that domino cells[] and grid occupancy are perfectly
 //   synchronized (cells-authoritative).
 // NOTES:
-//   - Pure diagnostic tool: never mutates dominos or grid.
+//   - Diagnostic by default: never mutates dominos or grid.
+//   - Returns a structured report so callers (main.js, the debug
+//     overlay, dev/testHarness.js) can react to a desync; the
+//     console only gets one summary warning per failing check.
+//   - options.repair rebuilds grid occupancy from domino cells
+//     (cells are authoritative); domino cells are never touched.
+//
+// REPORT SHAPE:
+//   { ok, issues: [issue], repaired, repairedIssues }
+//   repaired:       true if repair mode rewrote the grid
+//   repairedIssues: issues found before the repair (repair mode
+//                   only); issues then describes the result
+//
+// ISSUE SHAPE:
+//   { kind, dominoId, cell, half, expected, actual, message }
+//
+//   kind                 cell        expected          actual
+//   invalid-cells        null        2 cells           domino.cells
+//   missing-in-grid      domino's    {dominoId, half}  null
+//   domino-mismatch      domino's    {dominoId, half}  grid cell
+//   wrong-half           domino's    {dominoId, half}  grid cell
+//   unknown-domino       grid's      null              grid cell
+//   tray-domino          grid's      null              grid cell
+//   cell-mismatch        grid's      domino.cells[half] the cell
+//   missing-input / unsupported-collection: nothing else set
 // ============================================================
 
+import { isInside, setCell } from "./grid.js";
+
 function resolveDomino(dominos, id) {
   if (!dominos) return undefined;
 
@@ -20,25 +46,30 @@ function idsEqual(a, b) {
   return String(a) === String(b);
 }
 
-export function syncCheck(dominos, grid) {
-  if (!dominos || !grid) {
-    console.error("syncCheck: missing dominos or grid");
-    return;
-  }
-
-  const entries =
-    dominos instanceof Map
-      ? Array.from(dominos.entries())
-      : Array.isArray(dominos)
-      ? dominos.map(d => [d.id, d])
-      : null;
+function issue(kind, message, fields = {}) {
+  return {
+    kind,
+    dominoId: null,
+    cell: null,
+    half: null,
+    expected: null,
+    actual: null,
+    ...fields,
+    message
+  };
+}
 
-  if (!entries) {
-    console.error("syncCheck: unsupported dominos collection type", dominos);
-    return;
-  }
+function collectEntries(dominos) {
+  if (dominos instanceof Map) return Array.from(dominos.entries());
+  if (Array.isArray(dominos)) return dominos.map(d => [d.id, d]);
+  return null;
+}
 
-  let issues = 0;
+// ------------------------------------------------------------
+// findIssues(entries, dominos, grid)
+// ------------------------------------------------------------
+function findIssues(entries, dominos, grid) {
+  const issues = [];
 
   // ----------------------------------------------------------
   // 1. Check each domino’s cells[] against the grid
@@ -46,34 +77,44 @@ export function syncCheck(dominos, grid) {
   for (const [id, d] of entries) {
     if (d.cells === null) continue;
 
+    const dominoId = String(id);
+
     if (!Array.isArray(d.cells) || d.cells.length !== 2) {
-      console.warn(`syncCheck: Domino ${id} has invalid cells`, d.cells);
-      issues++;
+      issues.push(issue("invalid-cells", `Domino ${dominoId} has invalid cells`, {
+        dominoId,
+        expected: "2 cells",
+        actual: d.cells
+      }));
       continue;
     }
 
     d.cells.forEach((cell, half) => {
       const { row, col } = cell;
       const gcell = grid[row]?.[col];
+      const at = { row, col };
+      const expected = { dominoId, half };
 
       if (!gcell) {
-        console.warn(`syncCheck: Domino ${id} half${half} missing at (${row},${col})`);
-        issues++;
+        issues.push(issue("missing-in-grid", `Domino ${dominoId} half${half} missing at (${row},${col})`, {
+          dominoId, cell: at, half, expected, actual: null
+        }));
         return;
       }
 
-      if (!idsEqual(gcell.dominoId, id)) {
-        console.warn(
-          `syncCheck: Domino ${id} half${half} mismatch at (${row},${col}) — grid.dominoId=${gcell.dominoId}`
-        );
-        issues++;
+      if (!idsEqual(gcell.dominoId, dominoId)) {
+        issues.push(issue(
+          "domino-mismatch",
+          `Domino ${dominoId} half${half} mismatch at (${row},${col}) — grid.dominoId=${gcell.dominoId}`,
+          { dominoId, cell: at, half, expected, actual: { ...gcell } }
+        ));
       }
 
       if (gcell.half !== half) {
-        console.warn(
-          `syncCheck: Domino ${id} half${half} wrong half index at (${row},${col}) — grid.half=${gcell.half}`
-        );
-        issues++;
+        issues.push(issue(
+          "wrong-half",
+          `Domino ${dominoId} half${half} wrong half index at (${row},${col}) — grid.half=${gcell.half}`,
+          { dominoId, cell: at, half, expected, actual: { ...gcell } }
+        ));
       }
     });
   }
@@ -88,36 +129,99 @@ export function syncCheck(dominos, grid) {
 
       const { dominoId, half } = cell;
       const d = resolveDomino(dominos, dominoId);
+      const at = { row: r, col: c };
+      const fields = { dominoId: String(dominoId), cell: at, half, actual: { ...cell } };
 
       if (!d) {
-        console.warn(`syncCheck: Grid cell (${r},${c}) references unknown domino ${dominoId}`);
-        issues++;
+        issues.push(issue("unknown-domino", `Grid cell (${r},${c}) references unknown domino ${dominoId}`, fields));
         continue;
       }
 
       if (!Array.isArray(d.cells)) {
-        console.warn(`syncCheck: Grid cell (${r},${c}) references tray domino ${dominoId}`);
-        issues++;
+        issues.push(issue("tray-domino", `Grid cell (${r},${c}) references tray domino ${dominoId}`, fields));
         continue;
       }
 
       const expected = d.cells[half];
       if (!expected || expected.row !== r || expected.col !== c) {
-        console.warn(
-          `syncCheck: Grid cell (${r},${c}) disagrees with domino ${dominoId} cells`,
-          d.cells
-        );
-        issues++;
+        issues.push(issue("cell-mismatch", `Grid cell (${r},${c}) disagrees with domino ${dominoId} cells`, {
+          ...fields,
+          expected: expected ? { row: expected.row, col: expected.col } : null,
+          actual: at
+        }));
       }
     }
   }
 
-  // ----------------------------------------------------------
-  // Summary
-  // ----------------------------------------------------------
-  if (issues === 0) {
-    console.log("syncCheck: OK — no geometry/grid mismatches detected");
-  } else {
-    console.warn(`syncCheck: completed with ${issues} issue(s) detected`);
+  return issues;
+}
+
+// ------------------------------------------------------------
+// rebuildGrid(entries, grid)
+// Clears the grid and re-writes every placed domino's halves.
+// Invalid or out-of-bounds cells are skipped; when two dominos
+// claim a cell the first one keeps it (still reported after).
+// ------------------------------------------------------------
+function rebuildGrid(entries, grid) {
+  for (const row of grid) row.fill(null);
+
+  for (const [id, d] of entries) {
+    if (!Array.isArray(d.cells) || d.cells.length !== 2) continue;
+
+    d.cells.forEach(({ row, col }, half) => {
+      if (!isInside(grid, row, col) || grid[row][col]) return;
+      setCell(grid, row, col, String(id), half);
+    });
   }
 }
+
+// ------------------------------------------------------------
+// syncCheck(dominos, grid, { repair })
+// ------------------------------------------------------------
+export function syncCheck(dominos, grid, { repair = false } = {}) {
+  if (!dominos || !grid) {
+    console.error("syncCheck: missing dominos or grid");
+    return {
+      ok: false,
+      issues: [issue("missing-input", "syncCheck: missing dominos or grid")],
+      repaired: false
+    };
+  }
+
+  const entries = collectEntries(dominos);
+
+  if (!entries) {
+    console.error("syncCheck: unsupported dominos collection type", dominos);
+    return {
+      ok: false,
+      issues: [issue("unsupported-collection", "syncCheck: unsupported dominos collection type")],
+      repaired: false
+    };
+  }
+
+  const issues = findIssues(entries, dominos, grid);
+
+  if (issues.length === 0) {
+    return { ok: true, issues, repaired: false };
+  }
+
+  if (!repair) {
+    console.warn(`syncCheck: ${issues.length} issue(s) detected`, issues);
+    return { ok: false, issues, repaired: false };
+  }
+
+  rebuildGrid(entries, grid);
+  const remaining = findIssues(entries, dominos, grid);
+
+  console.warn(
+    `syncCheck: repaired grid from domino cells (${issues.length} issue(s), ${remaining.length} left)`,
+    { repairedIssues: issues, remaining }
+  );
+
+  return {
+    ok: remaining.length === 0,
+    issues: remaining,
+    repaired: true,
+    repairedIssues: issues
+  };
+}
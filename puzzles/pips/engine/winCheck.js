@@ -0,0 +1,39 @@
+// ============================================================
+// FILE: engine/winCheck.js
+// PURPOSE: Decide whether the board is a finished solution.
+// NOTES:
+//   - Pure engine logic: reads state, never mutates it.
+//   - Solved means every non-blocked cell is covered and every
+//     region rule is satisfied.
+// ============================================================
+
+import { evaluateAllRegions } from "./regionRules.js";
+
+// ------------------------------------------------------------
+// checkSolved(state)
+// RETURNS:
+//   { solved, uncovered, failedRegions }
+//   uncovered: number of empty playable cells
+//   failedRegions: ids of regions not (yet) satisfied
+// ------------------------------------------------------------
+export function checkSolved(state) {
+  const { grid, blocked, regionMap, regions } = state;
+
+  let uncovered = 0;
+  for (let r = 0; r < grid.length; r++) {
+    for (let c = 0; c < grid[r].length; c++) {
+      if (blocked.has(`${r},${c}`)) continue;
+      if (!grid[r][c]) uncovered++;
+    }
+  }
+
+  const failedRegions = evaluateAllRegions(grid, regionMap, regions)
+    .filter(rr => !rr.satisfied)
+    .map(rr => rr.id);
+
+  return {
+    solved: uncovered === 0 && failedRegions.length === 0,
+    uncovered,
+    failedRegions
+  };
+}
@@ -6,7 +6,20 @@
 //   - Initializes engine state.
 //   - Renders board + tray.
 //   - Enables drag/drop and rotation.
-//   - Runs SyncCheck after each action.
+//   - Runs SyncCheck after each render; a failing report is kept
+//     in window.__PIPS.lastSync() / repairSync(), and opens the
+//     debug overlay when it is loaded (?debug).
+//   - Records commits in an undo/redo history.
+//   - Saves progress per puzzle id and offers resume/restart.
+//   - Routes ?puzzle=<id> through the catalog manifest, starts
+//     ?code=<share code> puzzles after validation, and
+//     generates ?daily[=YYYY-MM-DD] (engine/daily.js).
+//   - Records daily puzzle results and streaks, for today's
+//     puzzle started through startDaily() only.
+//   - Shows session stats and personal bests under the tray.
+//   - Shows a completion overlay once pips:solved fires.
+//   - With ?debug, loads the dev debug overlay (` to toggle);
+//     players never load dev/ code.
 // ============================================================
 
 import { loadPuzzle } from "./engine/loader.js";
@@ -20,6 +33,37 @@ import { renderRegions } from "./ui/regionRenderer.js";
 import { renderBlockedCells } from "./ui/blockedRenderer.js";
 import { renderRegionBadges } from "./ui/badgeRenderer.js";
 import { installPlacementValidator } from "./ui/interaction/placementValidator.js";
+import { installHistoryControls } from "./ui/interaction/historyControls.js";
+import { installHintControls } from "./ui/interaction/hintControls.js";
+import { installMistakeChecker } from "./ui/interaction/mistakeChecker.js";
+import { installKeyboardPlay } from "./ui/interaction/keyboardPlay.js";
+import { installAnnouncer } from "./ui/announcer.js";
+import { installFeedbackLayer } from "./ui/feedbackLayer.js";
+import { createHistory } from "./engine/history.js";
+import { evaluateLiveRegions } from "./engine/liveStatus.js";
+import { serializeState, restoreState, countPlaced } from "./engine/saveState.js";
+import { createClock } from "./engine/clock.js";
+import {
+  readSave,
+  writeSave,
+  clearSave,
+  markSolved,
+  readPreference,
+  writePreference,
+  readDailyHistory,
+  writeDailyHistory
+} from "./ui/saveStore.js";
+import { showResumePrompt } from "./ui/resumePrompt.js";
+import { CATALOG_STATUS, findCatalogEntry, nextCatalogEntry } from "./engine/catalog.js";
+import { renderCatalog } from "./ui/catalogScreen.js";
+import { showCompletionOverlay } from "./ui/completionOverlay.js";
+import { installShareControls, shareUrl } from "./ui/interaction/shareControls.js";
+import { installStatsPanel } from "./ui/statsPanel.js";
+import { decodeShareCode, encodeShareCode, sharedPuzzleId } from "./engine/shareCode.js";
+import { dailyKey, dailyPuzzle, dailyStreak, isDailyKey, recordDailyResult } from "./engine/daily.js";
+
+// Catalog manifest once startFromLocation() has fetched it
+let activeCatalog = null;
 
 /**
  * validatePuzzle(p)
@@ -33,10 +77,14 @@ function validatePuzzle(p) {
 }
 
 // ------------------------------------------------------------
-// startPuzzle(puzzleJson)
+// startPuzzle(puzzleJson, { resume, daily })
 // Initializes engine state and wires UI + interactions.
+// resume: optional saved snapshot (engine/saveState.js) to
+// replay onto the fresh state before the first render.
+// daily: day key when started by startDaily(); the solve counts
+// for the streak if that day is still today.
 // ------------------------------------------------------------
-export function startPuzzle(puzzleJson) {
+export function startPuzzle(puzzleJson, { resume = null, daily = null } = {}) {
   console.log("startPuzzle() called");
 
   if (!validatePuzzle(puzzleJson)) {
@@ -58,6 +106,42 @@ export function startPuzzle(puzzleJson) {
     regions
   } = state;
 
+  // Replay saved progress through commitPlacement (never raw grid writes)
+  if (resume) {
+    const restored = restoreState(state, resume);
+    if (restored.rejected.length) {
+      console.warn("startPuzzle: saved placements rejected", restored.rejected);
+    }
+  }
+
+  // Undo/redo history around the engine commit boundary
+  // (starts empty: restored placements are not undoable)
+  const history = createHistory(state);
+
+  // Play clock, continued from the save when resuming
+  const clock = createClock({ elapsedMs: resume?.elapsedMs || 0 });
+  clock.start();
+
+  // Move count, continued from the save too; counted by the stats
+  // panel (installed with the first render) and the validator
+  const resumedMoves = resume?.moves || 0;
+  let stats = null;
+
+  // Set by pips:solved; a finished board is never saved again
+  let solved = false;
+
+  function saveProgress() {
+    if (solved) return;
+    writeSave(
+      puzzleDef.id,
+      serializeState(state, {
+        puzzleId: puzzleDef.id,
+        elapsedMs: clock.elapsed(),
+        moves: stats ? stats.counts().moves : resumedMoves
+      })
+    );
+  }
+
   // DOM references (ensure these exist in your index.html)
   const boardEl = document.getElementById("board");
   const trayEl = document.getElementById("tray");
@@ -70,14 +154,25 @@ export function startPuzzle(puzzleJson) {
   boardEl.style.setProperty("--board-rows", state.boardRows);
   boardEl.style.setProperty("--board-cols", state.boardCols);
 
+  // Last syncCheck() report, shown by the debug overlay
+  let lastSync = null;
+
+  // ?debug: developer tooling (debug overlay) is loaded
+  const debugMode = new URLSearchParams(window.location.search).has("debug");
+
   // renderPuzzle is passed to rotation mode and used for re-renders
   function renderPuzzle() {
     renderBoard(boardEl, state);
     renderTray(puzzleDef, dominos, trayEl, grid);
     renderRegions(regionMap, boardEl);
     renderBlockedCells(blocked, boardEl);
-    renderRegionBadges(regions, regionMap, boardEl);
-    syncCheck(dominos, grid);
+    renderRegionBadges(regions, regionMap, boardEl, evaluateLiveRegions(state));
+    const wasOk = lastSync?.ok !== false;
+    lastSync = syncCheck(dominos, grid);
+
+    // With ?debug, open the overlay when the board first falls out
+    // of sync; players only get the report via __PIPS.lastSync()
+    if (debugMode && wasOk && !lastSync.ok) window.__PIPS?.debugOverlay?.toggle(true);
   }
 
   // ============================================================
@@ -139,6 +234,71 @@ appRoot.addEventListener("pips:rotate:commit", (ev) => {
   appRoot.addEventListener("pips:state:update", () => {
     console.log("MAIN: pips:state:update → renderPuzzle()");
     renderPuzzle();
+    saveProgress();
+  });
+
+  // ------------------------------------------------------------
+  // Persistence: the clock only runs while the page is visible;
+  // leaving the page saves tray orientation and elapsed time too.
+  // ------------------------------------------------------------
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      clock.pause();
+      saveProgress();
+    } else if (!solved) {
+      clock.start();
+    }
+  });
+  window.addEventListener("pagehide", saveProgress);
+
+  // ------------------------------------------------------------
+  // Replay: the same puzzle on an empty board. The save is gone
+  // once solved, so a reload does it, except for ?code= links:
+  // those may carry the sender's placements, so reopen the board
+  // as a puzzle-only code instead.
+  // ------------------------------------------------------------
+  function replayPuzzle() {
+    if (new URLSearchParams(window.location.search).has("code")) {
+      window.location.assign(shareUrl(encodeShareCode(puzzleDef)));
+    } else {
+      window.location.reload();
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Win: stop the clock, record completion, lock the board
+  // (the validator already rejects further proposals).
+  // ------------------------------------------------------------
+  appRoot.addEventListener("pips:solved", (ev) => {
+    const { moves, elapsedMs } = ev.detail || {};
+
+    solved = true;
+    clock.pause();
+    markSolved(puzzleDef.id);
+    clearSave(puzzleDef.id);
+
+    boardEl.classList.add("is-solved");
+    trayEl.classList.add("is-solved");
+
+    const next = nextCatalogEntry(activeCatalog, puzzleDef.id);
+
+    // Today's daily puzzle: first solve of the day counts for the
+    // streak (past days and shared copies never do)
+    let note = "";
+    if (daily && daily === dailyKey()) {
+      const history = recordDailyResult(readDailyHistory(), daily, { moves, elapsedMs });
+      writeDailyHistory(history);
+      const { current, best } = dailyStreak(history);
+      note = `Daily streak: ${current} day${current === 1 ? "" : "s"} (best ${best}).`;
+    }
+
+    showCompletionOverlay(document.body, {
+      moves,
+      elapsedMs,
+      note,
+      nextHref: next ? `?puzzle=${encodeURIComponent(next.id)}` : null,
+      onReplay: replayPuzzle
+    });
   });
 
   // Optional: if your validator emits an explicit tray-return event,
@@ -153,8 +313,64 @@ appRoot.addEventListener("pips:rotate:commit", (ev) => {
   setTimeout(() => {
     renderPuzzle();
     
+    // Screen-reader announcements via the #pipsAnnouncer live region
+    const announcerEl = document.getElementById("pipsAnnouncer");
+    if (announcerEl) installAnnouncer({ appRoot, state, regionEl: announcerEl });
+
+    // Friendly rejection messages + offending-cell highlights
+    installFeedbackLayer({
+      appRoot,
+      boardEl,
+      messageEl: document.getElementById("pipsFeedback")
+    });
+
     // Install placement validator so it can observe canonical pips:* events
-    installPlacementValidator(appRoot, state);
+    installPlacementValidator(appRoot, state, { history, clock, moves: resumedMoves });
+
+    // Undo/redo keyboard shortcuts + toolbar buttons
+    installHistoryControls({
+      appRoot,
+      history,
+      undoButton: document.getElementById("undoBtn"),
+      redoButton: document.getElementById("redoBtn")
+    });
+
+    // Hint / Reveal buttons + board highlights
+    installHintControls({
+      appRoot,
+      boardEl,
+      hintButton: document.getElementById("hintBtn"),
+      revealButton: document.getElementById("revealBtn"),
+      messageEl: document.getElementById("hintMessage")
+    });
+
+    // Share links (puzzle only, or with the current board)
+    installShareControls({
+      puzzleDef,
+      getProgress: () => serializeState(state, { puzzleId: puzzleDef.id, elapsedMs: clock.elapsed() }),
+      shareButton: document.getElementById("shareBtn"),
+      shareProgressButton: document.getElementById("shareProgressBtn"),
+      messageEl: document.getElementById("hintMessage")
+    });
+
+    // Timer, move counts and personal best under the tray
+    stats = installStatsPanel({
+      appRoot,
+      panelEl: document.getElementById("statsPanel"),
+      clock,
+      puzzleId: puzzleDef.id,
+      moves: resumedMoves
+    });
+    window.__PIPS.stats = stats;
+
+    // Optional mistake checking (per-puzzle toggle)
+    installMistakeChecker({
+      appRoot,
+      boardEl,
+      toggle: document.getElementById("mistakeToggle"),
+      enabled: readPreference(puzzleDef.id, "checkMistakes", false),
+      onToggle: (on) => writePreference(puzzleDef.id, "checkMistakes", on)
+    });
 
     // Enable drag/drop
     installDragDrop({
@@ -166,91 +382,99 @@ appRoot.addEventListener("pips:rotate:commit", (ev) => {
 
     // Enable rotation mode (rotation no longer depends on dragDrop)
     initRotation(dominos, grid, trayEl, boardEl, renderPuzzle);
-  }, 0);
-
-  document.addEventListener("pips:drop:reject:board", e => {
-  const { id, reason, info } = e.detail;
-
-  console.groupCollapsed(
-    `%cDROP REJECTED%c — ${reason}`,
-    "color:#b00;font-weight:bold;",
-    "color:#444;"
-  );
-
-  console.log("Domino:", id);
-  console.log("Reason:", reason);
 
-  if (info) {
-    console.log("Engine info:", info);
+    // Keyboard-only play (same proposal events as pointer play)
+    installKeyboardPlay({ appRoot, boardEl, trayEl, state });
 
-    // Optional: break out common subfields if present
-    if (info.proposal) console.log("Proposal:", info.proposal);
-    if (info.blocked) console.log("Blocked:", info.blocked);
-    if (info.bounds) console.log("Bounds:", info.bounds);
-    if (info.occupancy) console.log("Occupancy:", info.occupancy);
-  }
-
-  console.groupEnd();
-});
-
-  /*
-  document.addEventListener("pips:drop:reject:board", e => {
-    const rej = e.detail;
-  
-    console.groupCollapsed(
-      `%cDROP REJECTED%c — ${rej.reason}`,
-      "color:#b00;font-weight:bold;",
-      "color:#444;"
-    );
-  
-    console.log("Reason:", rej.reason);
-  
-    if (rej.proposal) {
-      console.log("Proposal:", rej.proposal);
-    }
-  
-    if (rej.dominoId !== undefined) {
-      console.log("Domino ID:", rej.dominoId);
+    // Engine state overlay for development (?debug only)
+    if (debugMode) {
+      import("./dev/debugOverlay.js")
+        .then(({ installDebugOverlay }) => {
+          window.__PIPS.debugOverlay = installDebugOverlay({
+            appRoot,
+            boardEl,
+            state,
+            getSyncResult: () => lastSync,
+            visible: true
+          });
+        })
+        .catch(err => console.error("startPuzzle: debug overlay failed to load", err));
     }
-  
-    if (rej.delta) {
-      console.log("Delta (dr,dc):", rej.delta);
-    }
-  
-    if (rej.cells) {
-      console.log("Engine cell check:", rej.cells);
-    }
-  
-    if (rej.region) {
-      console.log("Region check:", rej.region);
-    }
-  
-    if (rej.bounds) {
-      console.log("Bounds check:", rej.bounds);
-    }
-  
-    if (rej.occupancy) {
-      console.log("Occupancy check:", rej.occupancy);
-    }
-  
-    if (rej.ghost) {
-      console.log("Ghost geometry:", rej.ghost);
-    }
-  
-    console.groupEnd();
-  });
-  */
+  }, 0);
 
   // Expose for debugging and manual re-render
   window.__PIPS = window.__PIPS || {};
   window.__PIPS.puzzleDef = puzzleDef;
   window.__PIPS.state = state;
+  window.__PIPS.history = history;
+  window.__PIPS.clock = clock;
   window.__PIPS.renderPuzzle = renderPuzzle;
+  window.__PIPS.lastSync = () => lastSync;
+
+  // Rebuild grid occupancy from domino cells, then redraw
+  window.__PIPS.repairSync = () => {
+    const report = syncCheck(dominos, grid, { repair: true });
+    renderPuzzle();
+    return report;
+  };
 
   console.log("startPuzzle: wiring complete");
   return state;
 }
 
+// ------------------------------------------------------------
+// startValidated(json, { progress, daily })
+// Validation gate shared by fetched puzzles, share codes and
+// daily puzzles.
+// progress: snapshot packed in a share code; it is played
+// unless the player already has this board in progress and
+// chooses to keep their own game.
+// daily: passed on to startPuzzle() (startDaily only).
+// ------------------------------------------------------------
+async function startValidated(json, { progress = null, daily = null } = {}) {
+  // ------------------------------------------------------------
+  // Structural validation — authoritative gate
+  // ------------------------------------------------------------
+  const validation = validateStructure(json);
+
+  if (validation.status === "Rejected") {
+    console.error("Structural validation failed:", validation);
+    return validation;
+  }
+
+  // ------------------------------------------------------------
+  // Saved progress — ask before resuming or discarding it
+  // ------------------------------------------------------------
+  let resume = readSave(json.id);
+
+  if (progress) {
+    if (!resume || countPlaced(resume) === 0) return startPuzzle(json, { resume: progress, daily });
+
+    const choice = await showResumePrompt(document.body, {
+      placed: countPlaced(resume),
+      elapsedMs: resume.elapsedMs,
+      heading: "Replace your game with the shared board?",
+      resumeLabel: "Keep my game",
+      restartLabel: "Open shared board"
+    });
+    return startPuzzle(json, { resume: choice === "restart" ? progress : resume, daily });
+  }
+
+  if (resume && countPlaced(resume) > 0) {
+    const choice = await showResumePrompt(document.body, {
+      placed: countPlaced(resume),
+      elapsedMs: resume.elapsedMs
+    });
+
+    if (choice === "restart") {
+      clearSave(json.id);
+      resume = null;
+    }
+  }
+
+  return startPuzzle(json, { resume, daily });
+}
+
 // ------------------------------------------------------------
 // loadAndStart(url)
 // Convenience helper to fetch a puzzle JSON and start it.
@@ -262,20 +486,126 @@ export async function loadAndStart(url) {
     if (!response.ok) throw new Error(`Fetch failed: ${response.status} ${response.statusText}`);
 
     const json = await response.json();
+    return await startValidated(json);
+  } catch (err) {
+    console.error("loadAndStart: fetch or parse error", err);
+    return null;
+  }
+}
 
-    // ------------------------------------------------------------
-    // Structural validation — authoritative gate
-    // ------------------------------------------------------------
-    const validation = validateStructure(json);
-    
-    if (validation.status === "Rejected") {
-      console.error("Structural validation failed:", validation);
-      return validation;
-    }
+// ------------------------------------------------------------
+// startFromCode(code)
+// Decodes a share code (engine/shareCode.js) and starts it.
+// RETURNS: startValidated() result, or { status: "Rejected",
+// errors } when the code itself is unreadable.
+// ------------------------------------------------------------
+export async function startFromCode(code) {
+  const decoded = decodeShareCode(code);
+
+  if (!decoded.ok) {
+    console.error("startFromCode: unreadable share code", decoded);
+    return {
+      status: "Rejected",
+      errors: [{ code: "INVALID_SHARE_CODE", message: decoded.reason, path: "" }]
+    };
+  }
+
+  // Never trust the packed id: saves, solved markers and bests
+  // are keyed by id, so key the board by its content
+  const { puzzle, progress } = decoded;
+  puzzle.id = sharedPuzzleId(puzzle);
+  if (progress) progress.puzzleId = puzzle.id;
+
+  return startValidated(puzzle, { progress });
+}
+
+// ------------------------------------------------------------
+// startDaily(key)
+// Generates the puzzle for a day (default today) and starts it.
+// RETURNS: startValidated() result, or { status: "Rejected",
+// errors } for a malformed or future date.
+// ------------------------------------------------------------
+export async function startDaily(key = dailyKey()) {
+  const reject = (message) => ({
+    status: "Rejected",
+    errors: [{ code: "INVALID_DAILY_DATE", message, path: "" }]
+  });
+
+  if (!isDailyKey(key)) return reject(`not a date: "${key}"`);
+  // Keys compare as strings; tomorrow's puzzle waits for tomorrow
+  if (key > dailyKey()) return reject(`the puzzle for ${key} isn't out yet`);
 
-return startPuzzle(json);
+  let puzzle;
+  try {
+    puzzle = dailyPuzzle(key);
   } catch (err) {
-    console.error("loadAndStart: fetch or parse error", err);
+    console.error("startDaily: generation failed", err);
+    return reject(err.message);
+  }
+
+  return startValidated(puzzle, { daily: key });
+}
+
+// ------------------------------------------------------------
+// startFromLocation(catalogUrl)
+// Entry point for index.html: ?puzzle=<id> starts that puzzle,
+// ?daily[=YYYY-MM-DD] the puzzle of the day, anything else
+// shows the catalog selection screen.
+// ------------------------------------------------------------
+export async function startFromLocation(catalogUrl = "./puzzles/catalog.json") {
+  const catalogEl = document.getElementById("catalog");
+  const gameEl = document.getElementById("game");
+
+  let catalog;
+  try {
+    const response = await fetch(catalogUrl, { cache: "no-store" });
+    if (!response.ok) throw new Error(`Fetch failed: ${response.status} ${response.statusText}`);
+    catalog = await response.json();
+  } catch (err) {
+    console.error("startFromLocation: catalog fetch or parse error", err);
     return null;
   }
+
+  activeCatalog = catalog;
+  window.__PIPS = window.__PIPS || {};
+  window.__PIPS.catalog = catalog;
+
+  const params = new URLSearchParams(window.location.search);
+  const id = params.get("puzzle");
+  const entry = findCatalogEntry(catalog, id);
+  let message = id ? `No playable puzzle called "${id}".` : "";
+
+  // ?code=<share code>: validated like any other puzzle; a bad
+  // code falls back to the catalog with the reason shown
+  const code = params.get("code");
+  if (code) {
+    if (catalogEl) catalogEl.hidden = true;
+    if (gameEl) gameEl.hidden = false;
+
+    const result = await startFromCode(code);
+    if (result?.status !== "Rejected") return result;
+
+    message = `This shared puzzle can't be played (${[...new Set(result.errors.map(e => e.code))].join(", ")}).`;
+  } else if (params.has("daily")) {
+    if (catalogEl) catalogEl.hidden = true;
+    if (gameEl) gameEl.hidden = false;
+
+    const result = await startDaily(params.get("daily") || undefined);
+    if (result?.status !== "Rejected") return result;
+
+    message = `No daily puzzle: ${result.errors[0].message}.`;
+  } else if (entry && entry.status === CATALOG_STATUS.Valid) {
+    if (catalogEl) catalogEl.hidden = true;
+    if (gameEl) gameEl.hidden = false;
+
+    const puzzleUrl = new URL(entry.file, new URL(catalogUrl, window.location.href));
+    return loadAndStart(puzzleUrl.href);
+  }
+
+  if (gameEl) gameEl.hidden = true;
+  if (catalogEl) {
+    catalogEl.hidden = false;
+    renderCatalog(catalogEl, catalog, { message });
+  }
+  return null;
 }
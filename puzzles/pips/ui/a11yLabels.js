@@ -0,0 +1,55 @@
+// ============================================================
+// FILE: a11yLabels.js
+// PURPOSE: Screen-reader text for cells, dominos and regions.
+// NOTES:
+//   - Pure string building from engine state; no DOM.
+//   - Rows and columns are spoken 1-based.
+// ============================================================
+
+import { getPipsFromId } from "../engine/domino.js";
+
+export function cellName({ row, col }) {
+  return `row ${row + 1}, column ${col + 1}`;
+}
+
+export function dominoName(id) {
+  const { pip0, pip1 } = getPipsFromId(String(id));
+  return `domino ${pip0}-${pip1}`;
+}
+
+export function regionName(state, regionId) {
+  const region = (state.regions || []).find(r => r.id === regionId);
+  const rule = region?.rule;
+  return rule === undefined || rule === null
+    ? `region ${regionId}`
+    : `region ${regionId}, rule ${rule}`;
+}
+
+// ------------------------------------------------------------
+// cellLabel(state, row, col)
+// "Row 2, column 3, region 4, rule =6, 5 pips of domino 3-5"
+// ------------------------------------------------------------
+export function cellLabel(state, row, col) {
+  const parts = [cellName({ row, col })];
+
+  if (state.blocked?.has(`${row},${col}`)) {
+    parts.push("blocked");
+    return parts.join(", ");
+  }
+
+  const regionId = state.regionMap?.[row]?.[col];
+  if (regionId !== null && regionId !== undefined) {
+    parts.push(regionName(state, regionId));
+  }
+
+  const occ = state.grid?.[row]?.[col];
+  if (occ) {
+    const { pip0, pip1 } = getPipsFromId(String(occ.dominoId));
+    const pips = occ.half === 0 ? pip0 : pip1;
+    parts.push(`${pips} pip${pips === 1 ? "" : "s"} of ${dominoName(occ.dominoId)}`);
+  } else {
+    parts.push("empty");
+  }
+
+  return parts.join(", ");
+}
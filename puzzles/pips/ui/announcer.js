@@ -0,0 +1,113 @@
+// ============================================================
+// FILE: announcer.js
+// PURPOSE:
+//   Screen-reader announcements through an aria-live region:
+//   commits, rejections (with reason codes), region status
+//   changes, mistakes and the win.
+// NOTES:
+//   - Listens to canonical pips:* events only; never mutates state.
+//   - Messages raised by one action are batched into a single
+//     announcement.
+// ============================================================
+
+import { evaluateLiveRegions } from "../engine/liveStatus.js";
+import { cellName, dominoName, regionName } from "./a11yLabels.js";
+import { describeRejection } from "./rejectionMessages.js";
+
+function cellsText(detail) {
+  if (Array.isArray(detail.cells)) {
+    return detail.cells.map(cellName).join(" and ");
+  }
+  if (detail.r0 !== undefined) {
+    return `${cellName({ row: detail.r0, col: detail.c0 })} and ${cellName({ row: detail.r1, col: detail.c1 })}`;
+  }
+  return "";
+}
+
+// ------------------------------------------------------------
+// installAnnouncer({ appRoot, state, regionEl })
+// ------------------------------------------------------------
+export function installAnnouncer({ appRoot, state, regionEl }) {
+  if (!appRoot || !state || !regionEl) {
+    throw new Error("installAnnouncer: missing appRoot, state or regionEl");
+  }
+
+  regionEl.setAttribute("aria-live", "polite");
+  regionEl.setAttribute("role", "status");
+
+  let pending = [];
+
+  function announce(text) {
+    if (!text) return;
+    if (pending.length === 0) {
+      // Flush after the current event cascade
+      setTimeout(() => {
+        regionEl.textContent = pending.join(" ");
+        pending = [];
+      }, 0);
+    }
+    pending.push(text);
+  }
+
+  const on = (name, fn) => appRoot.addEventListener(name, ev => fn(ev.detail || {}));
+
+  // ----------------------------------------------------------
+  // Commits
+  // ----------------------------------------------------------
+  on("pips:drop:commit:board", d => {
+    announce(d.r0 === undefined
+      ? `${dominoName(d.id)} returned to the tray.`
+      : `Placed ${dominoName(d.id)} on ${cellsText(d)}.`);
+  });
+
+  on("pips:return-to-tray:commit", d => announce(`${dominoName(d.id)} returned to the tray.`));
+  on("pips:rotate:commit", d => announce(`Rotated ${dominoName(d.dominoId ?? d.id)} to ${cellsText(d)}.`));
+
+  for (const action of ["undo", "redo"]) {
+    const verb = action === "undo" ? "Undid" : "Redid";
+    on(`pips:${action}:commit`, d => {
+      const where = d.cells ? `now on ${cellsText(d)}` : "now in the tray";
+      announce(`${verb} ${d.kind} of ${dominoName(d.id)}, ${where}.`);
+    });
+    on(`pips:${action}:reject`, d => announce(`Cannot ${action} (${d.reason}): ${describeRejection(d.reason)}`));
+  }
+
+  // ----------------------------------------------------------
+  // Rejections (reason codes are spoken as-is)
+  // ----------------------------------------------------------
+  const rejected = (verb, d) =>
+    announce(`Cannot ${verb} ${dominoName(d.id)} (${d.reason}): ${describeRejection(d.reason)}`);
+
+  on("pips:drop:reject:board", d => rejected("place", d));
+  on("pips:rotate:reject", d => d.id && rejected("rotate", d));
+  on("pips:return-to-tray:reject", d => rejected("return", d));
+
+  // ----------------------------------------------------------
+  // Region status changes, mistakes, win
+  // (hint text has its own live region, #hintMessage)
+  // ----------------------------------------------------------
+  let lastStatus = new Map(evaluateLiveRegions(state).map(r => [r.id, r.status]));
+
+  on("pips:state:update", () => {
+    const next = new Map();
+
+    for (const r of evaluateLiveRegions(state)) {
+      next.set(r.id, r.status);
+      if (lastStatus.get(r.id) !== r.status) {
+        announce(`${regionName(state, r.id)}: ${r.status}.`);
+      }
+    }
+
+    lastStatus = next;
+  });
+
+  on("pips:mistakes:result", d => {
+    if (d.offending?.length) {
+      announce(`No solution keeps ${d.offending.map(dominoName).join(", ")}.`);
+    }
+  });
+
+  on("pips:solved", d => {
+    announce(`Puzzle solved in ${d.moves} move${d.moves === 1 ? "" : "s"}.`);
+  });
+}
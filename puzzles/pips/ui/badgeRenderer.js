@@ -6,6 +6,9 @@
 //   - Exactly one badge per region.
 //   - Badge color MUST match region color.
 //   - Badge text displays the region rule token.
+//   - With live status (engine/liveStatus.js), badges also show
+//     the running pip sum and carry data-status
+//     ("satisfied" | "impossible" | "open") for styling.
 //   - Visual center of badge is anchored to the
 //     top-left corner of the anchor cell.
 // ============================================================
@@ -18,10 +21,13 @@ import { computeRegionColorMap } from "./regionColorAssigner.js";
 // Renders one informational badge per region.
 // Badges consume the same region color assignment used by
 // regionRenderer to guarantee visual alignment.
+// liveStatus: optional evaluateLiveRegions() result.
 // ------------------------------------------------------------
-export function renderRegionBadges(regions, regionMap, boardEl) {
+export function renderRegionBadges(regions, regionMap, boardEl, liveStatus = null) {
   if (!boardEl || !Array.isArray(regions) || !regionMap) return;
 
+  const liveById = new Map((liveStatus || []).map(s => [s.id, s]));
+
   // Ensure single badge layer
   let badgeLayer = boardEl.querySelector(".badge-layer");
   if (!badgeLayer) {
@@ -32,6 +38,7 @@ export function renderRegionBadges(regions, regionMap, boardEl) {
     badgeLayer.style.top = "0";
     badgeLayer.style.pointerEvents = "none";
     badgeLayer.style.zIndex = "30";
+    badgeLayer.setAttribute("aria-hidden", "true"); // rules are in the cell labels
     boardEl.appendChild(badgeLayer);
   }
 
@@ -67,6 +74,20 @@ export function renderRegionBadges(regions, regionMap, boardEl) {
     badge.className = "badge";
     badge.textContent = String(region.rule ?? "");
 
+    // Live status: running sum + satisfied / impossible / open
+    const live = liveById.get(region.id);
+    if (live) {
+      badge.dataset.status = live.status;
+      badge.title = `${live.status} (${live.filled}/${live.size} cells)`;
+
+      if (live.rule?.kind === "sum" && live.filled > 0) {
+        const value = document.createElement("span");
+        value.className = "badge-value";
+        value.textContent = String(live.currentValue);
+        badge.appendChild(value);
+      }
+    }
+
     // Apply region-assigned color
     const colorIndex = regionColorMap.get(region.id);
     if (colorIndex != null) {
@@ -2,9 +2,13 @@
 // Renders the board’s current state into the DOM.
 // Committed dominos use grid‑authoritative placement.
 // Transient dominos (ghosts) use overlay‑authoritative placement.
+// Accessibility: the board is an ARIA grid; each cell is labelled
+// with its position, region/rule and occupant pips, and the
+// domino overlay is hidden from assistive tech.
 
 import { createDominoElement } from "./createDominoElement.js";
 import { renderDomino } from "./dominoRenderer.js";
+import { cellLabel } from "./a11yLabels.js";
 
 export function renderBoard(boardEl, boardState, options = {}) {
   const { ghost = false, ghostId = null } = options;
@@ -20,15 +24,34 @@ export function renderBoard(boardEl, boardState, options = {}) {
   cellsLayer.innerHTML = "";
   dominosLayer.innerHTML = "";
 
-  // 2. Render board cells
+  // 1A. Grid semantics (overlay is described by the cells)
+  boardEl.setAttribute("role", "grid");
+  boardEl.setAttribute("aria-label", "Pips board");
+  boardEl.setAttribute("aria-rowcount", String(boardState.boardRows));
+  boardEl.setAttribute("aria-colcount", String(boardState.boardCols));
+  dominosLayer.setAttribute("aria-hidden", "true");
+
+  // 2. Render board cells (rows use display: contents, so the
+  //    CSS grid still lays out the cells directly)
   for (let row = 0; row < boardState.boardRows; row++) {
+    const rowEl = document.createElement("div");
+    rowEl.className = "board-row";
+    rowEl.setAttribute("role", "row");
+    rowEl.setAttribute("aria-rowindex", String(row + 1));
+
     for (let col = 0; col < boardState.boardCols; col++) {
       const cell = document.createElement("div");
       cell.className = "board-cell";
+      cell.id = `pips-cell-${row}-${col}`;
       cell.dataset.row = row;
       cell.dataset.col = col;
-      cellsLayer.appendChild(cell);
+      cell.setAttribute("role", "gridcell");
+      cell.setAttribute("aria-colindex", String(col + 1));
+      cell.setAttribute("aria-label", cellLabel(boardState, row, col));
+      rowEl.appendChild(cell);
     }
+
+    cellsLayer.appendChild(rowEl);
   }
 
   // 2A. Mini‑puzzle outlines (§11.4A)
@@ -0,0 +1,112 @@
+// ============================================================
+// FILE: catalogScreen.js
+// PURPOSE: Puzzle selection list built from puzzles/catalog.json.
+// NOTES:
+//   - Each playable entry links to ?puzzle=<id>, so the list
+//     and shared links use the same routing.
+//   - Only VALID puzzles are playable; BAD / NOT-YET entries are
+//     listed with their status so authors can see what's broken.
+//   - Completion state comes from saveStore (solved / in progress).
+//   - Shows the rater's level when the catalog has one, else the
+//     file's own difficulty label.
+//   - Starts with the puzzle of the day (?daily) and the daily
+//     streak; ends with a link to the puzzle editor (editor.html).
+// ============================================================
+
+import { CATALOG_STATUS } from "../engine/catalog.js";
+import { readSave, isSolved, readDailyHistory } from "./saveStore.js";
+import { countPlaced } from "../engine/saveState.js";
+import { dailyKey, dailyPuzzleId, dailyStreak } from "../engine/daily.js";
+
+function progressLabel(id) {
+  if (isSolved(id)) return "Solved";
+  if (countPlaced(readSave(id)) > 0) return "In progress";
+  return "";
+}
+
+// Today's puzzle row: "Solved" / "In progress", then the streak
+function renderDaily(container) {
+  const today = dailyKey();
+  const { current, best } = dailyStreak(readDailyHistory(), today);
+
+  const list = document.createElement("ul");
+  list.className = "pips-catalog pips-catalog-daily";
+
+  const item = document.createElement("li");
+  item.className = "pips-catalog-item";
+
+  const title = document.createElement("a");
+  title.className = "pips-catalog-title";
+  title.href = "?daily";
+  title.textContent = `Puzzle of the day (${today})`;
+
+  const meta = document.createElement("span");
+  meta.className = "pips-catalog-meta";
+  meta.textContent = [
+    progressLabel(dailyPuzzleId(today)),
+    current > 0 ? `Streak ${current}` : "",
+    best > current ? `best ${best}` : ""
+  ].filter(Boolean).join(" · ");
+
+  item.append(title, meta);
+  list.appendChild(item);
+  container.appendChild(list);
+}
+
+// ------------------------------------------------------------
+// renderCatalog(container, catalog, { message })
+// ------------------------------------------------------------
+export function renderCatalog(container, catalog, { message = "" } = {}) {
+  container.innerHTML = "";
+
+  const heading = document.createElement("h1");
+  heading.textContent = "Pips Puzzles";
+  container.appendChild(heading);
+
+  if (message) {
+    const note = document.createElement("p");
+    note.className = "pips-catalog-message";
+    note.textContent = message;
+    container.appendChild(note);
+  }
+
+  renderDaily(container);
+
+  const list = document.createElement("ul");
+  list.className = "pips-catalog";
+
+  for (const entry of catalog?.puzzles || []) {
+    const playable = entry.status === CATALOG_STATUS.Valid;
+    const item = document.createElement("li");
+    item.className = "pips-catalog-item";
+    item.dataset.status = entry.status;
+
+    const title = document.createElement(playable ? "a" : "span");
+    title.className = "pips-catalog-title";
+    title.textContent = entry.title;
+    if (playable) title.href = `?puzzle=${encodeURIComponent(entry.id)}`;
+
+    const meta = document.createElement("span");
+    meta.className = "pips-catalog-meta";
+    meta.textContent = [
+      `${entry.width}×${entry.height}`,
+      entry.rating?.level ?? entry.difficulty,
+      playable ? progressLabel(entry.id) : entry.status
+    ].filter(Boolean).join(" · ");
+
+    if (!playable && entry.errors?.length) {
+      meta.title = entry.errors.join(", ");
+    }
+
+    item.append(title, meta);
+    list.appendChild(item);
+  }
+
+  container.appendChild(list);
+
+  const editorLink = document.createElement("a");
+  editorLink.className = "pips-toolbar-link";
+  editorLink.href = "editor.html";
+  editorLink.textContent = "Create a puzzle";
+  container.appendChild(editorLink);
+}
@@ -0,0 +1,47 @@
+// ============================================================
+// FILE: completionOverlay.js
+// PURPOSE: "Solved!" overlay shown after pips:solved.
+// NOTES:
+//   - Replay is a callback (main.js owns the restart).
+//   - Next / All puzzles are plain links using ?puzzle= routing.
+// ============================================================
+
+import { formatElapsed } from "../engine/clock.js";
+
+// ------------------------------------------------------------
+// showCompletionOverlay(container, { moves, elapsedMs, note, nextHref, onReplay })
+// note: optional extra line (daily streak)
+// ------------------------------------------------------------
+export function showCompletionOverlay(container, { moves, elapsedMs, note = "", nextHref = null, onReplay } = {}) {
+  const overlay = document.createElement("div");
+  overlay.className = "pips-complete";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-labelledby", "pipsCompleteTitle");
+
+  const time = elapsedMs == null ? "" : ` in ${formatElapsed(elapsedMs)}`;
+
+  overlay.innerHTML = `
+    <div class="pips-complete-panel">
+      <h2 id="pipsCompleteTitle">Solved!</h2>
+      <p>${moves} move${moves === 1 ? "" : "s"}${time}.</p>
+      ${note ? `<p class="pips-complete-note"></p>` : ""}
+      <div class="pips-complete-actions">
+        <button type="button" data-action="replay">Replay</button>
+        ${nextHref ? `<a href="${nextHref}" data-action="next">Next puzzle</a>` : ""}
+        <a href="index.html">All puzzles</a>
+      </div>
+    </div>
+  `;
+
+  // Set as text: callers may build notes from stored data
+  if (note) overlay.querySelector(".pips-complete-note").textContent = note;
+
+  overlay.querySelector("[data-action='replay']").addEventListener("click", () => {
+    overlay.remove();
+    onReplay?.();
+  });
+
+  container.appendChild(overlay);
+  (overlay.querySelector("[data-action='next']") || overlay.querySelector("button")).focus();
+  return overlay;
+}
@@ -1,12 +1,17 @@
 // ============================================================
 // FILE: createDominoElement.js
 // PURPOSE: Create the canonical two‑element DOM for a domino,
-//          including the 3×3 pip grid required by domino.css.
+//          including the pip grid required by domino.css
+//          (3×3, or 3×4 for 10–12 pips).
 // ============================================================
 
+// p1–p7 draw 0–6, p8–p9 add 7–9, p10–p13 add 10–12
+const PIP_NODES = 13;
+
 export function createDominoElement() {
   const inner = document.createElement("div");
   inner.className = "domino";
+  inner.setAttribute("aria-hidden", "true"); // pips are visual; wrappers/cells carry labels
 
   const half0 = document.createElement("div");
   half0.className = "half half0";
@@ -16,8 +21,8 @@ export function createDominoElement() {
   half1.className = "half half1";
   half1.dataset.pip = "0";
 
-  // Add 7 pip nodes to each half
-  for (let i = 1; i <= 7; i++) {
+  // Add PIP_NODES pip nodes to each half (enough for double-twelve)
+  for (let i = 1; i <= PIP_NODES; i++) {
     const p0 = document.createElement("div");
     p0.className = `pip p${i}`;
     half0.appendChild(p0);
@@ -58,6 +58,10 @@ export function renderDomino(domino, wrapper) {
   half0.dataset.pip = String(pip0);
   half1.dataset.pip = String(pip1);
 
+  // 10–12 pips (double-twelve) need the 3×4 pip layout
+  half0.classList.toggle("pips-4row", pip0 >= 10);
+  half1.classList.toggle("pips-4row", pip1 >= 10);
+
   // ------------------------------------------------------------
   // Orientation derivation (visual only) + diagnostics
   // Geometry is defined in Domino Geometry Contract.
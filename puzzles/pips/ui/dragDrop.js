@@ -25,6 +25,10 @@ export function isDragDropActive() {
   return dragDropPhase !== "Idle";
 }
 
+export function getDragDropPhase() {
+  return dragDropPhase;
+}
+
 export function installDragDrop({ boardEl, trayEl, rows, cols }) {
   const DragThreshold = 20;
 
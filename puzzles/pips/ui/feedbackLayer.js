@@ -0,0 +1,90 @@
+// ============================================================
+// FILE: feedbackLayer.js
+// PURPOSE:
+//   On-screen feedback for rejected moves: a friendly message
+//   plus highlighted offending cells, both fading out on their own.
+// NOTES:
+//   - Listens to pips:*:reject events; never mutates state.
+//   - Highlights live in their own .feedback-layer inside the
+//     board (like .badge-layer), so re-renders triggered by the
+//     rejection don't wipe them.
+// ============================================================
+
+import { describeRejection, offendingCells } from "./rejectionMessages.js";
+
+const VISIBLE_MS = 2500;
+
+const REJECT_EVENTS = [
+  "pips:drop:reject:board",
+  "pips:rotate:reject",
+  "pips:return-to-tray:reject",
+  "pips:undo:reject",
+  "pips:redo:reject"
+];
+
+// ------------------------------------------------------------
+// installFeedbackLayer({ appRoot, boardEl, messageEl })
+// ------------------------------------------------------------
+export function installFeedbackLayer({ appRoot, boardEl, messageEl }) {
+  if (!appRoot || !boardEl) {
+    throw new Error("installFeedbackLayer: missing appRoot or boardEl");
+  }
+
+  let hideTimer = null;
+
+  function layer() {
+    let el = boardEl.querySelector(".feedback-layer");
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "feedback-layer";
+      el.setAttribute("aria-hidden", "true");
+      boardEl.appendChild(el);
+    }
+    return el;
+  }
+
+  function highlight(cells) {
+    const el = layer();
+    el.innerHTML = "";
+
+    const rootStyle = getComputedStyle(document.documentElement);
+    const cellSize = parseFloat(rootStyle.getPropertyValue("--cell-size"));
+    const cellGap = parseFloat(rootStyle.getPropertyValue("--cell-gap"));
+    const stride = cellSize + cellGap;
+
+    for (const { row, col } of cells) {
+      const box = document.createElement("div");
+      box.className = "reject-cell";
+      box.style.left = `${col * stride}px`;
+      box.style.top = `${row * stride}px`;
+      box.style.width = `${cellSize}px`;
+      box.style.height = `${cellSize}px`;
+      el.appendChild(box);
+    }
+  }
+
+  function show(reason, info) {
+    clearTimeout(hideTimer);
+
+    highlight(offendingCells(reason, info));
+    layer().classList.add("is-visible");
+
+    if (messageEl) {
+      messageEl.textContent = describeRejection(reason);
+      messageEl.dataset.reason = reason;
+      messageEl.classList.add("is-visible");
+    }
+
+    hideTimer = setTimeout(() => {
+      layer().classList.remove("is-visible");
+      messageEl?.classList.remove("is-visible");
+    }, VISIBLE_MS);
+  }
+
+  for (const name of REJECT_EVENTS) {
+    appRoot.addEventListener(name, (ev) => {
+      const { reason, info } = ev.detail || {};
+      if (reason) show(reason, info);
+    });
+  }
+}
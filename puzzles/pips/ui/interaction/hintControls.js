@@ -0,0 +1,59 @@
+// ============================================================
+// FILE: hintControls.js
+// PURPOSE:
+//   Hint / Reveal toolbar buttons and on-board hint highlights.
+// NOTES:
+//   - Dispatches pips:hint:request; the placement validator
+//     answers with pips:hint:result { hint } (engine/hints.js).
+//   - Highlights live on .board-cell elements, so the next
+//     re-render (pips:state:update) clears them; the message is
+//     cleared at the same time.
+// ============================================================
+
+function highlightCells(boardEl, cells) {
+  boardEl.querySelectorAll(".board-cell.hint-cell").forEach(el => {
+    el.classList.remove("hint-cell");
+  });
+
+  for (const { row, col } of cells || []) {
+    boardEl
+      .querySelector(`.board-cell[data-row="${row}"][data-col="${col}"]`)
+      ?.classList.add("hint-cell");
+  }
+}
+
+// ------------------------------------------------------------
+// installHintControls({ appRoot, boardEl, hintButton, revealButton, messageEl })
+// ------------------------------------------------------------
+export function installHintControls({ appRoot, boardEl, hintButton, revealButton, messageEl }) {
+  if (!appRoot || !boardEl) {
+    throw new Error("installHintControls: missing appRoot or boardEl");
+  }
+
+  function request(reveal) {
+    appRoot.dispatchEvent(
+      new CustomEvent("pips:hint:request", { bubbles: true, detail: { reveal } })
+    );
+  }
+
+  hintButton?.addEventListener("click", () => request(false));
+  revealButton?.addEventListener("click", () => request(true));
+
+  appRoot.addEventListener("pips:hint:result", (ev) => {
+    const { hint } = ev.detail || {};
+    if (!hint) return;
+
+    highlightCells(boardEl, hint.highlight);
+    if (messageEl) {
+      messageEl.textContent = hint.message;
+      messageEl.dataset.kind = hint.kind;
+    }
+  });
+
+  appRoot.addEventListener("pips:state:update", () => {
+    if (messageEl) {
+      messageEl.textContent = "";
+      delete messageEl.dataset.kind;
+    }
+  });
+}
@@ -0,0 +1,68 @@
+// ============================================================
+// FILE: historyControls.js
+// PURPOSE:
+//   Keyboard shortcuts and toolbar buttons for undo/redo.
+// NOTES:
+//   - Never touches engine state: it only dispatches
+//     pips:undo:request / pips:redo:request, which the
+//     placement validator serves through the history.
+//   - Shortcuts: Ctrl/Cmd+Z = undo,
+//                Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z = redo.
+//   - Ignored while a drag or rotation session is in flight,
+//     so history never changes under an active gesture.
+//   - Shortcuts typed into a form control or contenteditable
+//     element are left alone (native text undo).
+// ============================================================
+
+import { isDragDropActive } from "../dragDrop.js";
+import { isRotationSessionActive } from "../rotation.js";
+
+function requestHistory(appRoot, action) {
+  if (isDragDropActive() || isRotationSessionActive()) return;
+
+  appRoot.dispatchEvent(
+    new CustomEvent(`pips:${action}:request`, { bubbles: true, detail: {} })
+  );
+}
+
+// Focus is somewhere the browser's own undo applies
+function isEditable(target) {
+  return Boolean(
+    target?.isContentEditable ||
+    target?.closest?.("input, textarea, select")
+  );
+}
+
+// ------------------------------------------------------------
+// installHistoryControls({ appRoot, history, undoButton, redoButton })
+// ------------------------------------------------------------
+export function installHistoryControls({ appRoot, history, undoButton, redoButton }) {
+  if (!appRoot || !history) {
+    throw new Error("installHistoryControls: missing appRoot or history");
+  }
+
+  function refreshButtons() {
+    if (undoButton) undoButton.disabled = !history.canUndo();
+    if (redoButton) redoButton.disabled = !history.canRedo();
+  }
+
+  undoButton?.addEventListener("click", () => requestHistory(appRoot, "undo"));
+  redoButton?.addEventListener("click", () => requestHistory(appRoot, "redo"));
+
+  document.addEventListener("keydown", (ev) => {
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey || isEditable(ev.target)) return;
+
+    const key = ev.key.toLowerCase();
+
+    if (key === "z" && !ev.shiftKey) {
+      ev.preventDefault();
+      requestHistory(appRoot, "undo");
+    } else if (key === "y" || (key === "z" && ev.shiftKey)) {
+      ev.preventDefault();
+      requestHistory(appRoot, "redo");
+    }
+  });
+
+  appRoot.addEventListener("pips:state:update", refreshButtons);
+  refreshButtons();
+}
@@ -0,0 +1,267 @@
+// ============================================================
+// FILE: keyboardPlay.js
+// PURPOSE:
+//   Keyboard-only play: select a tray domino, move a placement
+//   cursor, rotate around the pivot half, place, pick up and
+//   return to tray.
+// NOTES:
+//   - Never touches engine state: every action is dispatched as
+//     the same proposal events pointer play uses
+//     (pips:drop:proposal, pips:rotate:proposal,
+//     pips:return-to-tray), so engine validation stays
+//     authoritative.
+//   - A held domino is only a preview (highlighted cells); the
+//     board does not change until the engine commits.
+//   - Ignored while a pointer drag or rotation session is active.
+//
+// KEYS:
+//   Tray  (focused):  ←/→ select domino, Enter/Space pick up
+//   Board (focused):  arrows move cursor
+//                     Enter/Space  pick up domino under cursor,
+//                                  or place the held domino
+//                     R            rotate (held preview, or the
+//                                  placed domino around the
+//                                  half under the cursor)
+//                     Backspace/Delete  return domino to tray
+//                     Escape       drop the held preview
+//   A rejected placement keeps the preview so it can be moved.
+// ============================================================
+
+import { isDragDropActive } from "../dragDrop.js";
+import { isRotationSessionActive } from "../rotation.js";
+
+// Clockwise: half1 right, down, left, up of half0 (pivot)
+const DIRS = [
+  { dr: 0, dc: 1 },
+  { dr: 1, dc: 0 },
+  { dr: 0, dc: -1 },
+  { dr: -1, dc: 0 }
+];
+
+const ARROWS = {
+  ArrowUp: { dr: -1, dc: 0 },
+  ArrowDown: { dr: 1, dc: 0 },
+  ArrowLeft: { dr: 0, dc: -1 },
+  ArrowRight: { dr: 0, dc: 1 }
+};
+
+function dirIndex(from, to) {
+  return DIRS.findIndex(d => d.dr === to.row - from.row && d.dc === to.col - from.col);
+}
+
+// ------------------------------------------------------------
+// installKeyboardPlay({ appRoot, boardEl, trayEl, state })
+// state: engine state (read-only here)
+// ------------------------------------------------------------
+export function installKeyboardPlay({ appRoot, boardEl, trayEl, state }) {
+  if (!appRoot || !boardEl || !trayEl || !state) {
+    throw new Error("installKeyboardPlay: missing appRoot, boardEl, trayEl or state");
+  }
+
+  const kb = {
+    cursor: { row: 0, col: 0 },
+    traySelection: 0,
+    // Held preview: { id, pivotHalf, dir } (pivot sits on the cursor)
+    held: null
+  };
+
+  boardEl.tabIndex = 0;
+  trayEl.tabIndex = 0;
+
+  // ----------------------------------------------------------
+  // Helpers
+  // ----------------------------------------------------------
+  function dispatch(name, detail) {
+    boardEl.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+  }
+
+  function trayIds() {
+    return [...trayEl.querySelectorAll(".domino-wrapper")].map(el => el.dataset.dominoId);
+  }
+
+  function dominoAt({ row, col }) {
+    return state.grid[row]?.[col] || null;
+  }
+
+  function clampCursor() {
+    kb.cursor.row = Math.max(0, Math.min(state.boardRows - 1, kb.cursor.row));
+    kb.cursor.col = Math.max(0, Math.min(state.boardCols - 1, kb.cursor.col));
+  }
+
+  // Held preview → proposal cells (cells[0] holds half0)
+  function heldCells() {
+    const { pivotHalf, dir } = kb.held;
+    const pivot = { ...kb.cursor };
+    const other = { row: pivot.row + DIRS[dir].dr, col: pivot.col + DIRS[dir].dc };
+    return pivotHalf === 0 ? [pivot, other] : [other, pivot];
+  }
+
+  // ----------------------------------------------------------
+  // Visual state (re-applied after every render)
+  // ----------------------------------------------------------
+  function paint() {
+    boardEl.querySelectorAll(".board-cell.kbd-cursor, .board-cell.kbd-preview").forEach(el => {
+      el.classList.remove("kbd-cursor", "kbd-preview");
+    });
+    trayEl.querySelectorAll(".domino-wrapper.kbd-selected").forEach(el => {
+      el.classList.remove("kbd-selected");
+    });
+
+    const cellEl = ({ row, col }) =>
+      boardEl.querySelector(`.board-cell[data-row="${row}"][data-col="${col}"]`);
+
+    if (document.activeElement === boardEl || kb.held) {
+      cellEl(kb.cursor)?.classList.add("kbd-cursor");
+    }
+
+    // Screen readers follow the cursor / selection
+    boardEl.setAttribute("aria-activedescendant", `pips-cell-${kb.cursor.row}-${kb.cursor.col}`);
+
+    if (kb.held) {
+      heldCells().forEach(c => cellEl(c)?.classList.add("kbd-preview"));
+    }
+
+    const wrappers = trayEl.querySelectorAll(".domino-wrapper");
+    const selected = wrappers[Math.min(kb.traySelection, wrappers.length - 1)];
+    wrappers.forEach(el => el.setAttribute("aria-selected", String(el === selected)));
+
+    if (selected) trayEl.setAttribute("aria-activedescendant", selected.id);
+    else trayEl.removeAttribute("aria-activedescendant");
+
+    if (document.activeElement === trayEl) {
+      selected?.classList.add("kbd-selected");
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Actions
+  // ----------------------------------------------------------
+  function pickUpFromTray() {
+    const ids = trayIds();
+    const id = ids[Math.min(kb.traySelection, ids.length - 1)];
+    if (!id) return;
+
+    // Tray rotation is visual only: pick-up always starts horizontal
+    kb.held = { id, pivotHalf: 0, dir: 0 };
+    boardEl.focus();
+  }
+
+  function pickUpFromBoard() {
+    const occ = dominoAt(kb.cursor);
+    if (!occ) return;
+
+    const d = state.dominos.get(String(occ.dominoId));
+    if (!d || !Array.isArray(d.cells) || state.startingDominoIds.has(String(d.id))) return;
+
+    const pivotHalf = occ.half;
+    const dir = dirIndex(d.cells[pivotHalf], d.cells[1 - pivotHalf]);
+    if (dir < 0) return;
+
+    kb.held = { id: String(d.id), pivotHalf, dir };
+  }
+
+  // The preview is kept on reject so the player can adjust it;
+  // pips:drop:commit:board clears it (see below).
+  function place() {
+    dispatch("pips:drop:proposal", { dominoId: kb.held.id, cells: heldCells() });
+  }
+
+  function rotatePlaced() {
+    const occ = dominoAt(kb.cursor);
+    if (!occ) return;
+
+    const d = state.dominos.get(String(occ.dominoId));
+    if (!d || !Array.isArray(d.cells)) return;
+
+    const pivot = d.cells[occ.half];
+    const other = d.cells[1 - occ.half];
+    const dr = other.row - pivot.row;
+    const dc = other.col - pivot.col;
+    const rotated = { row: pivot.row + dc, col: pivot.col - dr };
+
+    const cells = occ.half === 0
+      ? [{ ...pivot }, rotated]
+      : [rotated, { ...pivot }];
+
+    dispatch("pips:rotate:proposal", { dominoId: String(d.id), cells });
+  }
+
+  function returnToTray() {
+    const id = kb.held?.id ?? dominoAt(kb.cursor)?.dominoId;
+    if (id == null) return;
+
+    kb.held = null;
+    if (Array.isArray(state.dominos.get(String(id))?.cells)) {
+      dispatch("pips:return-to-tray", { id: String(id) });
+    }
+  }
+
+  // ----------------------------------------------------------
+  // Key handling
+  // ----------------------------------------------------------
+  function onBoardKey(ev) {
+    const arrow = ARROWS[ev.key];
+
+    if (arrow) {
+      kb.cursor.row += arrow.dr;
+      kb.cursor.col += arrow.dc;
+      clampCursor();
+    } else if (ev.key === "Enter" || ev.key === " ") {
+      if (kb.held) place();
+      else pickUpFromBoard();
+    } else if (ev.key === "r" || ev.key === "R") {
+      if (kb.held) kb.held.dir = (kb.held.dir + 1) % 4;
+      else rotatePlaced();
+    } else if (ev.key === "Backspace" || ev.key === "Delete") {
+      returnToTray();
+    } else if (ev.key === "Escape") {
+      kb.held = null;
+    } else {
+      return;
+    }
+
+    ev.preventDefault();
+    paint();
+  }
+
+  function onTrayKey(ev) {
+    const count = trayIds().length;
+
+    if (ev.key === "ArrowRight" || ev.key === "ArrowDown") {
+      kb.traySelection = count ? (kb.traySelection + 1) % count : 0;
+    } else if (ev.key === "ArrowLeft" || ev.key === "ArrowUp") {
+      kb.traySelection = count ? (kb.traySelection - 1 + count) % count : 0;
+    } else if (ev.key === "Enter" || ev.key === " ") {
+      pickUpFromTray();
+    } else {
+      return;
+    }
+
+    ev.preventDefault();
+    paint();
+  }
+
+  document.addEventListener("keydown", (ev) => {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (isDragDropActive() || isRotationSessionActive()) return;
+
+    if (document.activeElement === boardEl) onBoardKey(ev);
+    else if (document.activeElement === trayEl) onTrayKey(ev);
+  });
+
+  boardEl.addEventListener("focus", paint);
+  boardEl.addEventListener("blur", paint);
+  trayEl.addEventListener("focus", paint);
+  trayEl.addEventListener("blur", paint);
+
+  appRoot.addEventListener("pips:drop:commit:board", (ev) => {
+    if (kb.held && String(ev.detail?.id) === kb.held.id) kb.held = null;
+  });
+
+  // Renders rebuild cells and tray wrappers; re-apply highlights
+  appRoot.addEventListener("pips:state:update", () => {
+    const count = trayIds().length;
+    if (kb.traySelection >= count) kb.traySelection = Math.max(0, count - 1);
+    paint();
+  });
+}
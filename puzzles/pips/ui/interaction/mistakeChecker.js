@@ -0,0 +1,77 @@
+// ============================================================
+// FILE: mistakeChecker.js
+// PURPOSE:
+//   Optional mistake checking: after a board drop, ask the
+//   engine whether the board can still be completed and mark
+//   the dominos that can't be part of any solution.
+// NOTES:
+//   - Queries go through pips:mistakes:request; the placement
+//     validator answers with pips:mistakes:result.
+//   - Marks are re-applied after every re-render and re-checked
+//     on any state change while shown, so fixing a mistake (by
+//     moving, returning or undoing) clears them.
+//   - The toggle is per puzzle and off until the player turns
+//     it on; turning it off clears marks.
+// ============================================================
+
+// ------------------------------------------------------------
+// installMistakeChecker({ appRoot, boardEl, toggle, enabled, onToggle })
+// ------------------------------------------------------------
+export function installMistakeChecker({ appRoot, boardEl, toggle = null, enabled = false, onToggle }) {
+  if (!appRoot || !boardEl) {
+    throw new Error("installMistakeChecker: missing appRoot or boardEl");
+  }
+
+  let active = enabled;
+  let offending = new Set();
+  let lastDropId = null;
+
+  function applyMarks() {
+    boardEl.querySelectorAll(".domino-wrapper.on-board").forEach(el => {
+      el.classList.toggle("mistake", offending.has(el.dataset.dominoId));
+    });
+  }
+
+  function check(lastDominoId) {
+    appRoot.dispatchEvent(
+      new CustomEvent("pips:mistakes:request", { bubbles: true, detail: { lastDominoId } })
+    );
+  }
+
+  appRoot.addEventListener("pips:mistakes:result", (ev) => {
+    const { offending: ids = [] } = ev.detail || {};
+    offending = new Set(ids);
+    applyMarks();
+  });
+
+  // Remember the drop; the check runs after the re-render it triggers
+  appRoot.addEventListener("pips:drop:commit:board", (ev) => {
+    lastDropId = ev.detail?.id ?? null;
+  });
+
+  appRoot.addEventListener("pips:state:update", () => {
+    if (!active) return;
+
+    if (lastDropId !== null || offending.size > 0) {
+      check(lastDropId);
+      lastDropId = null;
+    } else {
+      applyMarks();
+    }
+  });
+
+  if (toggle) {
+    toggle.checked = active;
+    toggle.addEventListener("change", () => {
+      active = toggle.checked;
+      onToggle?.(active);
+
+      if (active) {
+        check(null);
+      } else {
+        offending = new Set();
+        applyMarks();
+      }
+    });
+  }
+}
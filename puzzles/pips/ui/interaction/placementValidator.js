@@ -5,8 +5,11 @@
 //   single commit boundary (cells-based).
 // ============================================================
 
-import { commitPlacement, validatePlacementProposal } from "../../engine/placement.js";
+import { commitPlacement, resolveDomino, validatePlacementProposal } from "../../engine/placement.js";
 import { evaluateAllRegions } from "../../engine/regionRules.js";
+import { checkSolved } from "../../engine/winCheck.js";
+import { findHint, revealHint } from "../../engine/hints.js";
+import { findMistakes } from "../../engine/mistakes.js";
 
 // ------------------------------------------------------------
 // dispatchEvents(target, names, detail)
@@ -22,10 +25,35 @@ function dispatchEvents(target, names, detail) {
   });
 }
 
+// ------------------------------------------------------------
+// cellsKey(state, id)
+// Comparable form of a domino's cells (null while in the tray).
+// ------------------------------------------------------------
+function cellsKey(state, id) {
+  const cells = resolveDomino(state, id)?.cells;
+  return Array.isArray(cells) ? cells.map(({ row, col }) => `${row},${col}`).join("|") : null;
+}
+
 // ============================================================
-// installPlacementValidator(appRoot, puzzle)
+// installPlacementValidator(appRoot, puzzle, options)
+// OPTIONS:
+//   history - engine/history.js instance; when present every
+//             commit is recorded and undo/redo requests are served.
+//   clock   - engine/clock.js instance; supplies elapsedMs for
+//             pips:solved.
+//   moves   - accepted commits made before this page load
+//             (saved game); the pips:solved count continues it.
+// MOVES:
+//   An accepted commit that changes the domino's cells, or an
+//   accepted undo/redo. Dropping a domino back on its own cells
+//   is accepted but not a move (history.js skips it too); drop,
+//   return and rotate commit events carry moved: false for it.
+// WIN DETECTION:
+//   After every accepted commit the board is checked; the first
+//   time it is solved, pips:solved { moves, elapsedMs } fires and
+//   every later proposal is rejected with "puzzle-solved".
 // ============================================================
-export function installPlacementValidator(appRoot, puzzle) {
+export function installPlacementValidator(appRoot, puzzle, options = {}) {
   if (!appRoot || !puzzle) {
     throw new Error("installPlacementValidator: missing args");
   }
@@ -37,6 +65,49 @@ export function installPlacementValidator(appRoot, puzzle) {
   }
 
   const { regionMap, regions } = puzzle;
+  const { history = null, clock = null } = options;
+
+  let moves = options.moves || 0;
+  let solved = false;
+
+  // Single commit path: through the history when one is installed
+  const commit = (proposal, kind) => {
+    const before = cellsKey(puzzle, proposal.dominoId);
+    const res = history ? history.commit(proposal, kind) : commitPlacement(puzzle, proposal);
+    if (!res.accepted) return res;
+
+    const moved = cellsKey(puzzle, proposal.dominoId) !== before;
+    if (moved) moves++;
+    return { ...res, moved };
+  };
+
+  // ------------------------------------------------------------
+  // afterCommit(target)
+  // Canonical state update, then win detection.
+  // ------------------------------------------------------------
+  function afterCommit(target) {
+    dispatchEvents(target, ["pips:state:update"], {});
+
+    if (solved || !checkSolved(puzzle).solved) return;
+
+    solved = true;
+    dispatchEvents(appRoot, ["pips:solved"], {
+      moves,
+      elapsedMs: clock ? clock.elapsed() : null
+    });
+  }
+
+  // ------------------------------------------------------------
+  // rejectIfSolved(target, rejectEvent, id)
+  // Interaction lock once the puzzle is solved.
+  // ------------------------------------------------------------
+  function rejectIfSolved(target, rejectEvent, id = null) {
+    if (!solved) return false;
+
+    dispatchEvents(target, [rejectEvent], { id, reason: "puzzle-solved" });
+    dispatchEvents(target, ["pips:state:update"], {});
+    return true;
+  }
 
   // ------------------------------------------------------------
   // pips:drop:proposal → engine commitPlacement
@@ -46,11 +117,12 @@ export function installPlacementValidator(appRoot, puzzle) {
     if (!dominoId || !cells) return;
   
     const id = String(dominoId);
+    if (rejectIfSolved(ev.target, "pips:drop:reject:board", id)) return;
   
-    const res = commitPlacement(puzzle, {
+    const res = commit({
       dominoId: String(id),
       cells
-    });
+    }, "drop");
 
 
     if (!res.accepted) {
@@ -65,9 +137,10 @@ export function installPlacementValidator(appRoot, puzzle) {
     // Derive row/col for renderer convenience only
     const payload =
       cells === null
-        ? { id: String(id) }
+        ? { id: String(id), moved: res.moved }
         : {
             id: String(id),
+            moved: res.moved,
             r0: cells[0].row,
             c0: cells[0].col,
             r1: cells[1].row,
@@ -75,7 +148,7 @@ export function installPlacementValidator(appRoot, puzzle) {
           };
 
     dispatchEvents(ev.target, ["pips:drop:commit:board"], payload);
-    dispatchEvents(ev.target, ["pips:state:update"], {});
+    afterCommit(ev.target);
   });
 
   // ------------------------------------------------------------
@@ -84,11 +157,12 @@ export function installPlacementValidator(appRoot, puzzle) {
   appRoot.addEventListener("pips:return-to-tray", (ev) => {
     const { id } = ev.detail || {};
     if (!id) return;
+    if (rejectIfSolved(ev.target, "pips:return-to-tray:reject", String(id))) return;
 
-    const res = commitPlacement(puzzle, {
+    const res = commit({
       dominoId: String(id),
       cells: null
-    });
+    }, "return");
 
     if (!res.accepted) {
       dispatchEvents(ev.target, ["pips:return-to-tray:reject"], {
@@ -100,10 +174,11 @@ export function installPlacementValidator(appRoot, puzzle) {
     }
 
     dispatchEvents(ev.target, ["pips:return-to-tray:commit"], {
-      id: String(id)
+      id: String(id),
+      moved: res.moved
     });
 
-    dispatchEvents(ev.target, ["pips:state:update"], {});
+    afterCommit(ev.target);
   });
 
   // ============================================================
@@ -114,6 +189,7 @@ export function installPlacementValidator(appRoot, puzzle) {
     if (!dominoId || !cells) return;
   
     const id = String(dominoId);
+    if (rejectIfSolved(ev.target, "pips:rotate:reject", id)) return;
   
     const validation = validatePlacementProposal(puzzle, {
       dominoId: id,
@@ -130,10 +206,10 @@ export function installPlacementValidator(appRoot, puzzle) {
       return;
     }
   
-    const res = commitPlacement(puzzle, {
+    const res = commit({
       dominoId: id,
       cells
-    });
+    }, "rotate");
   
     if (!res.accepted) {
       dispatchEvents(ev.target, ["pips:rotate:reject"], {
@@ -147,13 +223,71 @@ export function installPlacementValidator(appRoot, puzzle) {
   
     dispatchEvents(ev.target, ["pips:rotate:commit"], {
       dominoId: id,
+      moved: res.moved,
       r0: cells[0].row,
       c0: cells[0].col,
       r1: cells[1].row,
       c1: cells[1].col
     });
   
-    dispatchEvents(ev.target, ["pips:state:update"], {});
+    afterCommit(ev.target);
+  });
+
+  // ------------------------------------------------------------
+  // pips:undo:request / pips:redo:request → history replay
+  // ------------------------------------------------------------
+  function installHistoryRequest(action) {
+    appRoot.addEventListener(`pips:${action}:request`, (ev) => {
+      if (!history) {
+        dispatchEvents(ev.target, [`pips:${action}:reject`], { reason: "no-history" });
+        return;
+      }
+
+      if (solved) {
+        dispatchEvents(ev.target, [`pips:${action}:reject`], { reason: "puzzle-solved" });
+        return;
+      }
+
+      const res = action === "undo" ? history.undo() : history.redo();
+
+      if (!res.accepted) {
+        dispatchEvents(ev.target, [`pips:${action}:reject`], {
+          reason: res.reason,
+          info: res.info
+        });
+        return;
+      }
+
+      dispatchEvents(ev.target, [`pips:${action}:commit`], {
+        id: res.entry.dominoId,
+        kind: res.entry.kind,
+        cells: res.cells
+      });
+      moves++;
+      afterCommit(ev.target);
+    });
+  }
+
+  installHistoryRequest("undo");
+  installHistoryRequest("redo");
+
+  // ------------------------------------------------------------
+  // pips:hint:request { reveal } → pips:hint:result { hint }
+  // Read-only: hints never commit anything.
+  // ------------------------------------------------------------
+  appRoot.addEventListener("pips:hint:request", (ev) => {
+    const { reveal = false } = ev.detail || {};
+    const hint = reveal ? revealHint(puzzle) : findHint(puzzle);
+    dispatchEvents(ev.target, ["pips:hint:result"], { hint });
+  });
+
+  // ------------------------------------------------------------
+  // pips:mistakes:request { lastDominoId } → pips:mistakes:result
+  // Read-only: { extendable, offending, reason }
+  // ------------------------------------------------------------
+  appRoot.addEventListener("pips:mistakes:request", (ev) => {
+    const { lastDominoId = null } = ev.detail || {};
+    dispatchEvents(ev.target, ["pips:mistakes:result"], findMistakes(puzzle, { lastDominoId }));
   });
 
   // ------------------------------------------------------------
@@ -189,6 +323,7 @@ export function installPlacementValidator(appRoot, puzzle) {
           ok: false,
           reason: "region",
           regionId: rr.id,
+          status: rr.status,
           currentValue: rr.currentValue,
           rule: rr.rule
         };
@@ -0,0 +1,61 @@
+// ============================================================
+// FILE: shareControls.js
+// PURPOSE:
+//   Share toolbar buttons: copy an index.html?code= link for
+//   the puzzle, or for the puzzle plus the current placements.
+// NOTES:
+//   - Read-only: encodes puzzleDef and a serializeState()
+//     snapshot supplied by main.js (engine/shareCode.js).
+//   - Falls back to showing the link when the clipboard is
+//     unavailable (file://, denied permission).
+// ============================================================
+
+import { encodeShareCode } from "../../engine/shareCode.js";
+
+// <page>?code=<code>, other params dropped; page defaults to
+// the current one (index.html while playing)
+export function shareUrl(code, page = window.location.href) {
+  const url = new URL(page, window.location.href);
+  url.search = `?code=${code}`;
+  url.hash = "";
+  return url.href;
+}
+
+// ------------------------------------------------------------
+// installShareControls({ puzzleDef, getProgress, shareButton,
+//                        shareProgressButton, messageEl })
+// getProgress: () => saveState snapshot of the current board
+// ------------------------------------------------------------
+export function installShareControls({
+  puzzleDef,
+  getProgress,
+  shareButton,
+  shareProgressButton,
+  messageEl
+}) {
+  if (!puzzleDef || typeof getProgress !== "function") {
+    throw new Error("installShareControls: missing puzzleDef or getProgress");
+  }
+
+  function showMessage(text) {
+    if (!messageEl) return;
+    messageEl.textContent = text;
+    messageEl.dataset.kind = "share";
+  }
+
+  async function share(withProgress) {
+    const code = encodeShareCode(puzzleDef, { progress: withProgress ? getProgress() : null });
+    const link = shareUrl(code);
+
+    try {
+      await navigator.clipboard.writeText(link);
+      showMessage(withProgress ? "Link to this board copied." : "Puzzle link copied.");
+    } catch (err) {
+      console.warn("shareControls: clipboard write failed", err);
+      showMessage(link);
+    }
+  }
+
+  shareButton?.addEventListener("click", () => share(false));
+  shareProgressButton?.addEventListener("click", () => share(true));
+}
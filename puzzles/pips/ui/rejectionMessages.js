@@ -0,0 +1,54 @@
+// ============================================================
+// FILE: rejectionMessages.js
+// PURPOSE: Friendly text and offending cells for engine and
+//          validator rejection reasons.
+// NOTES:
+//   - Pure mapping; no DOM.
+//   - Unknown reasons fall back to a generic message so new
+//     engine reasons never surface as raw codes alone.
+// ============================================================
+
+export const REJECTION_MESSAGES = {
+  // Placement engine (engine/placement.js)
+  "missing-state": "The puzzle isn't ready yet.",
+  "missing-proposal": "That move wasn't recognised.",
+  "missing-dominoId": "That move wasn't recognised.",
+  "unknown-domino": "That domino isn't part of this puzzle.",
+  "missing-startingDominoIds": "The puzzle isn't ready yet.",
+  "starting-domino-immutable": "That domino is part of the starting layout and can't be moved.",
+  "invalid-cells": "Drop the domino squarely on two board cells.",
+  "invalid-coordinates": "Drop the domino squarely on two board cells.",
+  "identical-cells": "Both halves need their own cell.",
+  "non-adjacent": "Both halves must sit on neighbouring cells.",
+  "out-of-bounds": "That would hang off the edge of the board.",
+  "blocked": "Dominos can't cover blocked cells.",
+  "occupied": "Those cells are already taken by another domino.",
+
+  // Validator / history (ui/interaction/placementValidator.js)
+  "puzzle-solved": "The puzzle is solved — the board is locked.",
+  "nothing-to-undo": "Nothing to undo.",
+  "nothing-to-redo": "Nothing to redo.",
+  "no-history": "Undo isn't available.",
+  "rotation-must-submit-proposal": "That rotation wasn't recognised."
+};
+
+const FALLBACK_MESSAGE = "That move isn't allowed.";
+
+export function describeRejection(reason) {
+  return REJECTION_MESSAGES[reason] || FALLBACK_MESSAGE;
+}
+
+// ------------------------------------------------------------
+// offendingCells(reason, info)
+// Cells to highlight: only the conflicting ones for "occupied",
+// otherwise every proposed cell the engine reported.
+// ------------------------------------------------------------
+export function offendingCells(reason, info) {
+  const cells = Array.isArray(info?.cells) ? info.cells : [];
+
+  if (reason === "occupied") {
+    return cells.filter((_, i) => (i === 0 ? info.conflictA : info.conflictB));
+  }
+
+  return cells.filter(c => Number.isInteger(c?.row) && Number.isInteger(c?.col));
+}
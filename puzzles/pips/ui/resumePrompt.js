@@ -0,0 +1,62 @@
+// ============================================================
+// FILE: resumePrompt.js
+// PURPOSE: Ask whether to resume a saved game or start over.
+// NOTES:
+//   - Resolves to "resume" or "restart"; Escape means resume,
+//     so a stray keypress never discards progress.
+//   - The dialog is removed from the DOM once answered.
+// ============================================================
+
+import { formatElapsed } from "../engine/clock.js";
+
+// ------------------------------------------------------------
+// showResumePrompt(container, { placed, elapsedMs, heading,
+//                               resumeLabel, restartLabel })
+// Labels default to the resume/restart wording; share links
+// reuse the dialog to ask before replacing a saved game.
+// ------------------------------------------------------------
+export function showResumePrompt(container, {
+  placed = 0,
+  elapsedMs = 0,
+  heading = "Resume your game?",
+  resumeLabel = "Resume",
+  restartLabel = "Restart"
+} = {}) {
+  return new Promise(resolve => {
+    const dialog = document.createElement("div");
+    dialog.className = "pips-resume";
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-labelledby", "pipsResumeTitle");
+
+    dialog.innerHTML = `
+      <div class="pips-resume-panel">
+        <h2 id="pipsResumeTitle">${heading}</h2>
+        <p>${placed} domino${placed === 1 ? "" : "s"} placed, ${formatElapsed(elapsedMs)} played.</p>
+        <div class="pips-resume-actions">
+          <button type="button" data-choice="resume">${resumeLabel}</button>
+          <button type="button" data-choice="restart">${restartLabel}</button>
+        </div>
+      </div>
+    `;
+
+    function finish(choice) {
+      document.removeEventListener("keydown", onKey);
+      dialog.remove();
+      resolve(choice);
+    }
+
+    function onKey(ev) {
+      if (ev.key === "Escape") finish("resume");
+    }
+
+    dialog.addEventListener("click", ev => {
+      const choice = ev.target.closest("[data-choice]")?.dataset.choice;
+      if (choice) finish(choice);
+    });
+    document.addEventListener("keydown", onKey);
+
+    container.appendChild(dialog);
+    dialog.querySelector("[data-choice='resume']").focus();
+  });
+}
@@ -632,6 +632,11 @@ export function getRotationGhost() {
   return RotationSession.ghost;
 }
 
+// Idle | Preview | Ambiguous | Adjust | AwaitResult (debug overlay)
+export function getRotationState() {
+  return RotationSession.state;
+}
+
 export function isRotationSessionActive() {
   return RotationSession.isActive();
 }
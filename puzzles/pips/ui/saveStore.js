@@ -0,0 +1,169 @@
+// ============================================================
+// FILE: saveStore.js
+// PURPOSE: localStorage persistence for in-progress games,
+//          completion markers, preferences, personal bests
+//          and the daily puzzle history.
+// NOTES:
+//   - Snapshots come from engine/saveState.js; this module only
+//     stores and fetches them, keyed by puzzle id.
+//   - Storage failures (private mode, quota) are logged and
+//     treated as "no save"; play never depends on storage.
+// ============================================================
+
+const KEY_PREFIX = "pips:save:";
+
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function readSave(puzzleId) {
+  const store = storage();
+  if (!store || !puzzleId) return null;
+
+  try {
+    const raw = store.getItem(KEY_PREFIX + puzzleId);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("saveStore: unreadable save for", puzzleId, err);
+    return null;
+  }
+}
+
+export function writeSave(puzzleId, snapshot) {
+  const store = storage();
+  if (!store || !puzzleId) return;
+
+  try {
+    store.setItem(KEY_PREFIX + puzzleId, JSON.stringify(snapshot));
+  } catch (err) {
+    console.warn("saveStore: could not save", puzzleId, err);
+  }
+}
+
+export function clearSave(puzzleId) {
+  const store = storage();
+  if (!store || !puzzleId) return;
+
+  try {
+    store.removeItem(KEY_PREFIX + puzzleId);
+  } catch (err) {
+    console.warn("saveStore: could not clear", puzzleId, err);
+  }
+}
+
+// ------------------------------------------------------------
+// Completion markers (catalog "solved" state)
+// ------------------------------------------------------------
+const SOLVED_PREFIX = "pips:solved:";
+
+export function markSolved(puzzleId) {
+  const store = storage();
+  if (!store || !puzzleId) return;
+
+  try {
+    store.setItem(SOLVED_PREFIX + puzzleId, String(Date.now()));
+  } catch (err) {
+    console.warn("saveStore: could not mark solved", puzzleId, err);
+  }
+}
+
+export function isSolved(puzzleId) {
+  const store = storage();
+  if (!store || !puzzleId) return false;
+
+  try {
+    return store.getItem(SOLVED_PREFIX + puzzleId) !== null;
+  } catch {
+    return false;
+  }
+}
+
+// ------------------------------------------------------------
+// Personal bests (engine/sessionStats.js shape)
+// ------------------------------------------------------------
+const BEST_PREFIX = "pips:best:";
+
+export function readPersonalBest(puzzleId) {
+  const store = storage();
+  if (!store || !puzzleId) return null;
+
+  try {
+    const raw = store.getItem(BEST_PREFIX + puzzleId);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("saveStore: unreadable personal best for", puzzleId, err);
+    return null;
+  }
+}
+
+export function writePersonalBest(puzzleId, best) {
+  const store = storage();
+  if (!store || !puzzleId) return;
+
+  try {
+    store.setItem(BEST_PREFIX + puzzleId, JSON.stringify(best));
+  } catch (err) {
+    console.warn("saveStore: could not save personal best", puzzleId, err);
+  }
+}
+
+// ------------------------------------------------------------
+// Per-puzzle preferences (e.g. mistake checking on/off)
+// ------------------------------------------------------------
+const PREF_PREFIX = "pips:pref:";
+
+export function readPreference(puzzleId, name, fallback) {
+  const store = storage();
+  if (!store || !puzzleId) return fallback;
+
+  try {
+    const raw = store.getItem(`${PREF_PREFIX}${puzzleId}:${name}`);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writePreference(puzzleId, name, value) {
+  const store = storage();
+  if (!store || !puzzleId) return;
+
+  try {
+    store.setItem(`${PREF_PREFIX}${puzzleId}:${name}`, JSON.stringify(value));
+  } catch (err) {
+    console.warn("saveStore: could not save preference", puzzleId, name, err);
+  }
+}
+
+// ------------------------------------------------------------
+// Daily puzzle history (engine/daily.js shape)
+// ------------------------------------------------------------
+const DAILY_KEY = "pips:daily";
+
+export function readDailyHistory() {
+  const store = storage();
+  if (!store) return null;
+
+  try {
+    const raw = store.getItem(DAILY_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("saveStore: unreadable daily history", err);
+    return null;
+  }
+}
+
+export function writeDailyHistory(history) {
+  const store = storage();
+  if (!store) return;
+
+  try {
+    store.setItem(DAILY_KEY, JSON.stringify(history));
+  } catch (err) {
+    console.warn("saveStore: could not save daily history", err);
+  }
+}
@@ -0,0 +1,92 @@
+// ============================================================
+// FILE: statsPanel.js
+// PURPOSE: Session statistics panel under the tray: play time,
+//          moves, rotations, undos, rejections and the
+//          personal best for the puzzle.
+// NOTES:
+//   - Counts come from pips:* events (engine/sessionStats.js);
+//     time is read from the play clock main.js already pauses
+//     while the tab is hidden.
+//   - Moves is every accepted commit, continued from the saved
+//     game: the same count pips:solved reports and Best keeps.
+//   - On pips:solved the result is compared with the stored
+//     best (saveStore) and replaces it when faster.
+// ============================================================
+
+import { STAT_EVENTS, createSessionStats, updatePersonalBest } from "../engine/sessionStats.js";
+import { formatElapsed } from "../engine/clock.js";
+import { readPersonalBest, writePersonalBest } from "./saveStore.js";
+
+const TICK_MS = 1000;
+
+function bestLabel(best) {
+  if (!best) return "—";
+  return `${formatElapsed(best.elapsedMs)} (${best.moves} move${best.moves === 1 ? "" : "s"})`;
+}
+
+// ------------------------------------------------------------
+// installStatsPanel({ appRoot, panelEl, clock, puzzleId, moves })
+// moves: count from the saved game (0 for a fresh one)
+// RETURNS: the session stats instance (main.js saves its moves)
+// ------------------------------------------------------------
+export function installStatsPanel({ appRoot, panelEl, clock, puzzleId, moves = 0 }) {
+  if (!appRoot || !clock) {
+    throw new Error("installStatsPanel: missing appRoot or clock");
+  }
+
+  const stats = createSessionStats({ moves });
+  let best = readPersonalBest(puzzleId);
+  let newBest = false;
+
+  function render() {
+    if (!panelEl) return;
+
+    const { moves, rotations, undos, rejections } = stats.counts();
+    const rows = [
+      ["Time", formatElapsed(clock.elapsed())],
+      ["Moves", moves],
+      ["Rotations", rotations],
+      ["Undos", undos],
+      ["Rejected", rejections],
+      ["Best", newBest ? `${bestLabel(best)} — new best!` : bestLabel(best)]
+    ];
+
+    panelEl.innerHTML = "";
+    const list = document.createElement("dl");
+    list.className = "pips-stats-list";
+    for (const [label, value] of rows) {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = String(value);
+      list.append(dt, dd);
+    }
+    panelEl.appendChild(list);
+  }
+
+  for (const name of Object.keys(STAT_EVENTS)) {
+    appRoot.addEventListener(name, (ev) => {
+      stats.record(name, ev.detail);
+      render();
+    });
+  }
+
+  const timer = setInterval(render, TICK_MS);
+
+  appRoot.addEventListener("pips:solved", (ev) => {
+    clearInterval(timer);
+
+    const { moves = 0, elapsedMs } = ev.detail || {};
+    if (Number.isFinite(elapsedMs)) {
+      const res = updatePersonalBest(best, { elapsedMs, moves });
+      best = res.best;
+      newBest = res.improved;
+      if (newBest) writePersonalBest(puzzleId, best);
+    }
+
+    render();
+  });
+
+  render();
+  return stats;
+}
@@ -9,11 +9,14 @@
 //   - Tray rotation is visual-only (CSS animated).
 //   - Canonical geometry is derived at drag start, not here.
 //   - This module is pure rendering: it never mutates state.
+//   - Accessibility: the tray is a listbox; each domino is an
+//     option labelled by its pip values.
 // ============================================================
 
 import { createDominoElement } from "./createDominoElement.js";
 import { renderDomino } from "./dominoRenderer.js";
 import { findDominoCells } from "../engine/grid.js";
+import { dominoName } from "./a11yLabels.js";
 
 // ------------------------------------------------------------
 // renderTray(puzzleJson, dominos, trayEl, grid)
@@ -31,6 +34,8 @@ export function renderTray(puzzleJson, dominos, trayEl, grid) {
   }
 
   trayEl.innerHTML = "";
+  trayEl.setAttribute("role", "listbox");
+  trayEl.setAttribute("aria-label", "Domino tray");
 
   // ----------------------------------------------------------
   // 1. Create fixed tray slots
@@ -41,6 +46,7 @@ export function renderTray(puzzleJson, dominos, trayEl, grid) {
     const slot = document.createElement("div");
     slot.className = "tray-slot";
     slot.dataset.slot = String(i);
+    slot.setAttribute("role", "presentation");
     trayEl.appendChild(slot);
   }
 
@@ -75,6 +81,10 @@ export function renderTray(puzzleJson, dominos, trayEl, grid) {
     wrapper.classList.add("domino-wrapper", "in-tray");
     wrapper.dataset.dominoId = String(d.id);
     wrapper.dataset.half0Side = "left"; // tray default
+    wrapper.id = `pips-tray-${d.id}`;
+    wrapper.setAttribute("role", "option");
+    wrapper.setAttribute("aria-selected", "false");
+    wrapper.setAttribute("aria-label", dominoName(d.id));
 
     // --------------------------------------------------------
     // VISUAL-ONLY ORIENTATION